@@ -2,17 +2,33 @@ import express from "express";
 import cors from "cors"
 import envConfig from "./configs/envConfig.js";
 import promptRoute from "./routes/promptRoute.js";
+import adminRoute from "./routes/adminRoute.js";
+import metricsRoute from "./routes/metricsRoute.js";
+import requestId from "./middlewares/requestId.js";
+import requestLogger from "./middlewares/requestLogger.js";
+import { authenticate } from "./middlewares/auth.js";
+import rateLimit from "./middlewares/rateLimit.js";
+import { errorHandler, notFoundHandler } from "./middlewares/errorHandler.js";
+import logger from "./utils/logger.js";
 
 const app = express()
 
+app.use(requestId)
+app.use(requestLogger)
+
 app.use(express.json());
 
-app.use(cors())
+app.use(cors({ origin: envConfig.corsOrigins.length ? envConfig.corsOrigins : "*" }))
+
+app.use(metricsRoute)
+app.use("/api/admin", adminRoute)
+app.use("/api", authenticate, rateLimit, promptRoute)
 
-app.use("/api", promptRoute)
+app.use(notFoundHandler)
+app.use(errorHandler)
 
 const PORT = envConfig.port
 
 app.listen(PORT, () => {
-    console.log(`Server is running on port ${PORT}`);
-});
\ No newline at end of file
+    logger.info(`Server is running on port ${PORT}`, { port: PORT });
+});
@@ -1,9 +1,50 @@
 import dotenv from "dotenv";
 dotenv.config();
 
+const list = (value, fallback) => (value || fallback).split(",").map((item) => item.trim()).filter(Boolean);
+const quotaStore = process.env.QUOTA_STORE || "memory";
+
 const envConfig = {
     port: Number(process.env.PORT),
+    logLevel: process.env.LOG_LEVEL || "info",
     geminiApiKey: String(process.env.GEMINI_API_KEY),
+    openaiApiKey: String(process.env.OPENAI_API_KEY),
+    llmProvider: process.env.LLM_PROVIDER || "gemini",
+    enabledProviders: list(process.env.LLM_PROVIDERS, process.env.LLM_PROVIDER || "gemini"),
+    llmModels: {
+        gemini: list(process.env.GEMINI_MODELS, "gemini-2.0-flash"),
+        openai: list(process.env.OPENAI_MODELS, "gpt-4o-mini"),
+        mock: list(process.env.MOCK_MODELS, "mock-1"),
+    },
+    conversationStore: process.env.CONVERSATION_STORE || "memory",
+    conversationStorePath: process.env.CONVERSATION_STORE_PATH || "data/conversations.json",
+    moderationPolicyPath: process.env.MODERATION_POLICY_PATH || "configs/moderationPolicy.json",
+    templateStore: process.env.TEMPLATE_STORE || "memory",
+    templateStorePath: process.env.TEMPLATE_STORE_PATH || "data/templates.json",
+    templateSeedPath: process.env.TEMPLATE_SEED_PATH || "configs/promptTemplates.json",
+    defaultTemplateId: process.env.DEFAULT_TEMPLATE_ID || "default-assistant",
+    structuredOutputRetries: Number(process.env.STRUCTURED_OUTPUT_RETRIES || 2),
+    responseCacheEnabled: process.env.RESPONSE_CACHE !== "false",
+    responseCacheStore: process.env.RESPONSE_CACHE_STORE || "memory",
+    responseCacheStorePath: process.env.RESPONSE_CACHE_STORE_PATH || "data/responseCache.json",
+    responseCacheTtlSeconds: Number(process.env.RESPONSE_CACHE_TTL_SECONDS || 300),
+    responseCacheMaxEntries: Number(process.env.RESPONSE_CACHE_MAX_ENTRIES || 500),
+    historyTokenBudget: Number(process.env.HISTORY_TOKEN_BUDGET || 4000),
+    corsOrigins: list(process.env.CORS_ORIGINS, ""),
+    authRequired: process.env.AUTH_REQUIRED !== "false",
+    adminToken: process.env.ADMIN_TOKEN || "",
+    apiKeyStore: process.env.API_KEY_STORE || "memory",
+    apiKeyStorePath: process.env.API_KEY_STORE_PATH || "data/apiKeys.json",
+    quotaStore,
+    quotaStorePath: process.env.QUOTA_STORE_PATH || (quotaStore === "sqlite" ? "data/quotas.db" : "data/quotas.json"),
+    defaultRequestsPerMinute: Number(process.env.DEFAULT_REQUESTS_PER_MINUTE || 60),
+    defaultDailyTokenQuota: Number(process.env.DEFAULT_DAILY_TOKEN_QUOTA || 200000),
+}
+
+// With authentication on, API keys can only be issued through the admin API,
+// so starting without an admin token would reject every caller.
+if (envConfig.authRequired && !envConfig.adminToken) {
+    throw new Error("AUTH_REQUIRED is on but ADMIN_TOKEN is empty, so no API key could ever be issued. Set ADMIN_TOKEN, or AUTH_REQUIRED=false to identify callers by IP instead.");
 }
 
-export default envConfig;
\ No newline at end of file
+export default envConfig;
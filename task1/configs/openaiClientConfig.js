@@ -0,0 +1,9 @@
+import OpenAI from "openai";
+import envConfig from "./envConfig.js";
+
+
+const openAI = new OpenAI({
+  apiKey: envConfig.openaiApiKey,
+});
+
+export default openAI
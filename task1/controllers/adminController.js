@@ -0,0 +1,47 @@
+import crypto from "node:crypto";
+import apiKeyStore from "../stores/apiKeyStore.js";
+import { generateApiKey, hashApiKey } from "../utils/apiKeys.js";
+import { notFound } from "../utils/errors.js";
+import { purgeResponseCache, responseCacheStats } from "../utils/responseCache.js";
+
+const describe = ({ keyHash, ...record }) => record;
+
+// The plain key is only ever returned here; afterwards only its hash is kept.
+export const createApiKey = async (req, res) => {
+    const { name, requestsPerMinute, dailyTokenQuota } = req.body;
+    const key = generateApiKey();
+
+    const record = await apiKeyStore.create({
+        id: crypto.randomUUID(),
+        name,
+        keyPrefix: key.slice(0, 8),
+        keyHash: hashApiKey(key),
+        requestsPerMinute,
+        dailyTokenQuota,
+        createdAt: new Date().toISOString(),
+        revokedAt: null,
+    });
+
+    res.status(201).json({ ...describe(record), key });
+};
+
+export const listApiKeys = async (req, res) => {
+    const keys = await apiKeyStore.list();
+    res.status(200).json({ keys: keys.map(describe) });
+};
+
+export const revokeApiKey = async (req, res) => {
+    const record = await apiKeyStore.revoke(req.params.id);
+    if (!record) {
+        throw notFound("API key not found");
+    }
+    res.status(200).json(describe(record));
+};
+
+export const getCacheStats = async (req, res) => {
+    res.status(200).json(await responseCacheStats());
+};
+
+export const purgeCache = async (req, res) => {
+    res.status(200).json({ purged: await purgeResponseCache() });
+};
@@ -0,0 +1,132 @@
+import crypto from "node:crypto";
+import envConfig from "../configs/envConfig.js";
+import conversationStore from "../stores/conversationStore.js";
+import providers, { resolveProvider } from "../providers/index.js";
+import { trimHistory } from "../utils/history.js";
+import { resolveSystemPrompt } from "../utils/templates.js";
+import { checkFields, redactOutput } from "../utils/moderator.js";
+import { moderationError, notFound, unsupportedModelError, upstreamError } from "../utils/errors.js";
+
+const summarize = (conversation) => ({
+    id: conversation.id,
+    systemPrompt: conversation.systemPrompt,
+    template: conversation.template,
+    provider: conversation.provider,
+    model: conversation.model,
+    turns: conversation.messages.length,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+});
+
+// Conversations belong to the client that created them; anyone else gets the
+// same 404 as for an id that does not exist.
+const findConversation = async (id, client) => {
+    const conversation = await conversationStore.get(id);
+    if (!conversation || conversation.ownerId !== client.id) {
+        throw notFound("Conversation not found");
+    }
+    return conversation;
+};
+
+export const createConversation = async (req, res) => {
+    const { systemPrompt, template } = await resolveSystemPrompt(req.body);
+
+    const llm = resolveProvider(req.body);
+    if (!llm) {
+        throw unsupportedModelError(req.body);
+    }
+
+    const verdict = checkFields({ systemPrompt });
+    if (!verdict.allowed) {
+        throw moderationError(verdict.violations);
+    }
+
+    const now = new Date().toISOString();
+    const conversation = await conversationStore.create({
+        id: crypto.randomUUID(),
+        ownerId: req.client.id,
+        systemPrompt,
+        template,
+        provider: llm.provider.name,
+        model: llm.model,
+        messages: [],
+        createdAt: now,
+        updatedAt: now,
+    });
+
+    res.status(201).json(conversation);
+};
+
+// Turns of the same conversation run one at a time, so two quick messages
+// cannot both read the same history and overwrite each other's turn.
+const inFlight = new Map();
+
+const serialized = (id, task) => {
+    const run = (inFlight.get(id) ?? Promise.resolve()).then(task);
+    const settled = run.catch(() => {});
+    inFlight.set(id, settled);
+    settled.then(() => {
+        if (inFlight.get(id) === settled) inFlight.delete(id);
+    });
+    return run;
+};
+
+export const continueConversation = (req, res) => serialized(req.params.id, () => runTurn(req, res));
+
+const runTurn = async (req, res) => {
+    const { userPrompt } = req.body;
+    const conversation = await findConversation(req.params.id, req.client);
+
+    const verdict = checkFields({ userPrompt });
+    if (!verdict.allowed) {
+        throw moderationError(verdict.violations);
+    }
+
+    const userTurn = { role: "user", parts: [{ text: userPrompt }] };
+    res.locals.llm = { provider: conversation.provider, model: conversation.model };
+
+    let completion;
+    try {
+        completion = await providers[conversation.provider].generate({
+            model: conversation.model,
+            systemInstruction: conversation.systemPrompt,
+            contents: trimHistory([...conversation.messages, userTurn], envConfig.historyTokenBudget),
+        });
+    } catch (error) {
+        throw upstreamError(error);
+    }
+    res.locals.usage = completion.usage;
+
+    const moderated = redactOutput(completion.text);
+
+    conversation.messages.push(userTurn, { role: "model", parts: [{ text: moderated.text }] });
+    conversation.updatedAt = new Date().toISOString();
+    await conversationStore.save(conversation);
+
+    const body = { conversationId: conversation.id, response: moderated.text };
+    if (moderated.violations.length) {
+        body.warning = "Some unsafe words were removed for moderation.";
+    }
+
+    res.status(200).json(body);
+};
+
+export const listConversations = async (req, res) => {
+    const conversations = await conversationStore.list();
+    res.status(200).json({
+        conversations: conversations.filter((c) => c.ownerId === req.client.id).map(summarize),
+    });
+};
+
+export const getConversation = async (req, res) => {
+    res.status(200).json(await findConversation(req.params.id, req.client));
+};
+
+export const deleteConversation = async (req, res) => {
+    await findConversation(req.params.id, req.client);
+    const deleted = await conversationStore.delete(req.params.id);
+    if (!deleted) {
+        throw notFound("Conversation not found");
+    }
+    res.status(204).end();
+};
@@ -1,55 +1,188 @@
-import genAI from "../configs/geminiClientConfig.js"
-import { isInputUnsafe, moderateOutput } from "../utils/moderator.js";
-const getPromptResponse = async (req, res) => {
-    const { userPrompt, systemPrompt } = req.body;
+import envConfig from "../configs/envConfig.js";
+import { resolveProvider } from "../providers/index.js";
+import { checkFields, redactOutput, createStreamModerator } from "../utils/moderator.js";
+import { openEventStream } from "../utils/sse.js";
+import { resolveSystemPrompt } from "../utils/templates.js";
+import { generateStructured, moderateJson } from "../utils/structuredOutput.js";
+import { cacheKey, servedFromCache, withResponseCache } from "../utils/responseCache.js";
+import { checkSchema } from "../utils/schemaValidator.js";
+import {
+    AppError,
+    ErrorCodes,
+    moderationError,
+    unsupportedModelError,
+    upstreamError,
+    validationError,
+} from "../utils/errors.js";
+
+// Shared by the JSON and streaming endpoints: picks the provider, resolves
+// the system prompt and checks both prompts against the moderation policy.
+// Body is already validated.
+const preparePrompt = async (body) => {
+    const { userPrompt } = body;
+    const { systemPrompt } = await resolveSystemPrompt(body);
 
-    if (!userPrompt || userPrompt.trim() === "" || typeof userPrompt !== "string") {
-        return res.status(400).json({ message: "Invalid prompt" });
+    const llm = resolveProvider(body);
+    if (!llm) {
+        throw unsupportedModelError(body);
     }
 
-    if (typeof systemPrompt !== "string") {
-        return res.status(400).json({ message: "Invalid system prompt" });
+    const verdict = checkFields({ userPrompt, systemPrompt });
+    if (!verdict.allowed) {
+        throw moderationError(verdict.violations);
     }
 
-    const sanitizedUserPrompt = userPrompt.trim();
-    const sanitizedSystemPrompt = systemPrompt ? systemPrompt.trim() : "You are a helpful and polite assistant.";
+    return {
+        llm,
+        request: {
+            model: llm.model,
+            systemInstruction: systemPrompt,
+            contents: [{ role: "user", parts: [{ text: userPrompt }] }],
+        },
+    };
+};
+
+// Calls the provider through the response cache. Only calls that really went
+// upstream are reported in res.locals.usage and so count against quotas.
+const generateCached = async (req, res, llm, request, generate, shouldStore) => {
+    const { userPrompt, responseSchema, maxRetries, cache } = req.body;
+    const key = cacheKey({
+        provider: llm.provider.name,
+        model: llm.model,
+        systemPrompt: request.systemInstruction,
+        userPrompt,
+        responseSchema,
+        maxRetries,
+    });
+
+    const { value, status } = await withResponseCache(
+        key,
+        async () => {
+            try {
+                return await generate();
+            } catch (error) {
+                throw upstreamError(error);
+            }
+        },
+        { shouldStore, bypass: cache === false }
+    );
+
+    res.set("X-Cache", status);
+    if (!servedFromCache(status)) res.locals.usage = value.usage;
+    return { value, cached: servedFromCache(status) };
+};
+
+const getStructuredResponse = async (req, res, llm, request) => {
+    const { responseSchema, maxRetries = envConfig.structuredOutputRetries } = req.body;
+
+    const { value: result, cached } = await generateCached(
+        req,
+        res,
+        llm,
+        request,
+        () => generateStructured(llm, request, responseSchema, maxRetries),
+        (result) => result.valid
+    );
 
-    if (isInputUnsafe(sanitizedUserPrompt) || isInputUnsafe(sanitizedSystemPrompt)) {
-        return res.status(400).json({
-            error: "Your input violated the moderation policy. Please rephrase.",
-        });
+    if (!result.valid) {
+        throw new AppError(
+            422,
+            ErrorCodes.STRUCTURED_OUTPUT_INVALID,
+            `Model output did not match responseSchema after ${result.attempts.length} attempts`,
+            result.attempts.at(-1).errors
+        );
     }
 
+    const moderated = moderateJson(result.data);
+    const body = {
+        data: moderated.value,
+        cached,
+        diagnostics: { attempts: result.attempts },
+    };
+
+    if (moderated.violations.length) {
+        body.warning = "Some unsafe words were removed for moderation.";
+        body.diagnostics.redactions = moderated.violations;
+    }
+
+    res.status(200).json(body);
+};
+
+const getPromptResponse = async (req, res) => {
+    // A schema the validator cannot apply is rejected before any model call.
+    if (req.body.responseSchema) {
+        const errors = checkSchema(req.body.responseSchema, "responseSchema");
+        if (errors.length) {
+            throw validationError(errors, "responseSchema is not a supported JSON Schema");
+        }
+    }
+
+    const { llm, request } = await preparePrompt(req.body);
+    res.locals.llm = { provider: llm.provider.name, model: llm.model };
+
+    if (req.body.responseSchema) {
+        return getStructuredResponse(req, res, llm, request);
+    }
+
+    const { value: completion, cached } = await generateCached(
+        req,
+        res,
+        llm,
+        request,
+        () => llm.provider.generate(request)
+    );
+
+    const moderated = redactOutput(completion.text);
+    const body = { response: moderated.text, cached };
+
+    if (moderated.violations.length) {
+        body.warning = "Some unsafe words were removed for moderation.";
+    }
+
+    res.status(200).json(body);
+};
+
+export const streamPromptResponse = async (req, res) => {
+    const { llm, request } = await preparePrompt(req.body);
+    res.locals.llm = { provider: llm.provider.name, model: llm.model };
+
+    // A client that goes away stops the upstream call too.
+    const upstream = new AbortController();
+    res.on("close", () => {
+        if (!res.writableEnded) upstream.abort();
+    });
+
+    const send = openEventStream(res);
+    const moderator = createStreamModerator();
 
     try {
-        const completion = await genAI.models.generateContent({
-            model: "gemini-2.0-flash",
-            contents: [
-                {
-                    role: "user", 
-                    parts: [
-                        { text: `${sanitizedSystemPrompt}\n\nUser: ${sanitizedUserPrompt}` },
-                    ],
-                },
-            ],
-        });
-
-        let aiResponse = completion.candidates[0].content.parts[0].text; 
-
-        aiResponse = moderateOutput(aiResponse);
-
-        if (aiResponse.includes("[REDACTED]")) {
-            return res.json({
-                warning: "Some unsafe words were removed for moderation.",
-                response: aiResponse,
-            });
+        for await (const chunk of llm.provider.stream({ ...request, signal: upstream.signal })) {
+            if (chunk.usage) res.locals.usage = chunk.usage;
+            const text = moderator.push(chunk.text);
+            if (text) send("chunk", { text });
         }
 
-        res.status(200).json({ response: aiResponse });
+        const rest = moderator.flush();
+        if (rest) send("chunk", { text: rest });
+
+        const done = { redacted: moderator.redacted };
+        if (moderator.redacted) {
+            done.warning = "Some unsafe words were removed for moderation.";
+        }
+        send("done", done);
     } catch (error) {
-        console.error("Gemini API error:", error);
-        res.status(500).json({ message: "Error generating response" });
+        if (upstream.signal.aborted) {
+            // The response will never finish, so charge what was used so far here.
+            req.log.info("client disconnected mid-stream", { usage: error.usage });
+            res.locals.chargeUsage?.(error.usage ?? res.locals.usage);
+            return;
+        }
+        // Headers are already sent, so the envelope travels as an SSE event.
+        req.log.error("upstream stream failed", { provider: llm.provider.name, error });
+        send("error", upstreamError(error).toJSON(req.id));
     }
+
+    res.end();
 };
 
 export default getPromptResponse;
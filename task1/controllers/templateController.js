@@ -0,0 +1,73 @@
+import templateStore from "../stores/templateStore.js";
+import { checkTemplateDefinition, renderTemplate } from "../utils/templates.js";
+import { AppError, ErrorCodes, notFound, validationError } from "../utils/errors.js";
+
+const parseVersion = (raw) => {
+    if (raw === undefined) return undefined;
+    const version = Number(raw);
+    if (!Number.isInteger(version) || version < 1) {
+        throw validationError([{ field: "version", message: "must be a positive integer" }]);
+    }
+    return version;
+};
+
+const findTemplate = async (id, version) => {
+    const template = await templateStore.get(id, version);
+    if (!template) {
+        throw notFound(version === undefined ? `Template "${id}" not found` : `Template "${id}" has no version ${version}`);
+    }
+    return template;
+};
+
+const assertDefinition = (definition) => {
+    const details = checkTemplateDefinition(definition);
+    if (details.length) {
+        throw validationError(details, "Template definition is invalid");
+    }
+};
+
+export const listTemplates = async (req, res) => {
+    res.status(200).json({ templates: await templateStore.list() });
+};
+
+export const getTemplate = async (req, res) => {
+    res.status(200).json(await findTemplate(req.params.id, parseVersion(req.query.version)));
+};
+
+export const previewTemplate = async (req, res) => {
+    const template = await findTemplate(req.params.id, req.body.version);
+    res.status(200).json({
+        id: template.id,
+        version: template.version,
+        systemPrompt: renderTemplate(template, req.body.variables),
+    });
+};
+
+export const createTemplate = async (req, res) => {
+    const { id, ...definition } = req.body;
+    assertDefinition(definition);
+
+    const template = await templateStore.create(id, definition);
+    if (!template) {
+        throw new AppError(409, ErrorCodes.CONFLICT, `Template "${id}" already exists`);
+    }
+    res.status(201).json(template);
+};
+
+export const updateTemplate = async (req, res) => {
+    assertDefinition(req.body);
+
+    const template = await templateStore.addVersion(req.params.id, req.body);
+    if (!template) {
+        throw notFound(`Template "${req.params.id}" not found`);
+    }
+    res.status(200).json(template);
+};
+
+export const deleteTemplate = async (req, res) => {
+    const deleted = await templateStore.delete(req.params.id);
+    if (!deleted) {
+        throw notFound(`Template "${req.params.id}" not found`);
+    }
+    res.status(204).end();
+};
@@ -0,0 +1,59 @@
+import envConfig from "../configs/envConfig.js";
+import apiKeyStore from "../stores/apiKeyStore.js";
+import { hashApiKey, secretsMatch } from "../utils/apiKeys.js";
+import { AppError, ErrorCodes } from "../utils/errors.js";
+
+// Accepts "Authorization: Bearer <key>" or "X-API-Key: <key>".
+const readCredential = (req) => {
+    const authorization = req.get("Authorization");
+    if (authorization?.startsWith("Bearer ")) return authorization.slice(7).trim();
+    return req.get("X-API-Key")?.trim();
+};
+
+const unauthorized = (message) => new AppError(401, ErrorCodes.UNAUTHORIZED, message);
+
+// Resolves the calling client into req.client. With AUTH_REQUIRED=false,
+// callers are identified by IP and get the default limits.
+export const authenticate = async (req, res, next) => {
+    if (!envConfig.authRequired) {
+        req.client = {
+            id: `ip:${req.ip}`,
+            requestsPerMinute: envConfig.defaultRequestsPerMinute,
+            dailyTokenQuota: envConfig.defaultDailyTokenQuota,
+        };
+        return next();
+    }
+
+    const key = readCredential(req);
+    if (!key) {
+        res.set("WWW-Authenticate", "Bearer");
+        throw unauthorized("An API key is required");
+    }
+
+    const record = await apiKeyStore.findByHash(hashApiKey(key));
+    if (!record || record.revokedAt) {
+        res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+        throw unauthorized("API key is invalid or revoked");
+    }
+
+    req.client = {
+        id: record.id,
+        name: record.name,
+        requestsPerMinute: record.requestsPerMinute,
+        dailyTokenQuota: record.dailyTokenQuota,
+    };
+    next();
+};
+
+export const requireAdmin = (req, res, next) => {
+    if (!envConfig.adminToken) {
+        throw new AppError(403, ErrorCodes.FORBIDDEN, "Admin API is disabled; set ADMIN_TOKEN to enable it");
+    }
+
+    const token = readCredential(req);
+    if (!token || !secretsMatch(token, envConfig.adminToken)) {
+        res.set("WWW-Authenticate", "Bearer");
+        throw unauthorized("A valid admin token is required");
+    }
+    next();
+};
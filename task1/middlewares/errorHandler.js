@@ -0,0 +1,44 @@
+import { AppError, ErrorCodes } from "../utils/errors.js";
+
+export const notFoundHandler = (req, res, next) => {
+    next(new AppError(404, ErrorCodes.ROUTE_NOT_FOUND, `No route for ${req.method} ${req.path}`));
+};
+
+// body-parser errors by type; they carry a 4xx status and are safe to show.
+const bodyParserErrors = {
+    "entity.parse.failed": [ErrorCodes.INVALID_JSON, "Request body is not valid JSON"],
+    "entity.too.large": [ErrorCodes.PAYLOAD_TOO_LARGE, "Request body is too large"],
+    "encoding.unsupported": [ErrorCodes.UNSUPPORTED_MEDIA_TYPE, "Request body encoding is not supported"],
+    "charset.unsupported": [ErrorCodes.UNSUPPORTED_MEDIA_TYPE, "Request body charset is not supported"],
+};
+
+// Turns anything thrown into an AppError. Errors from Express and its
+// middleware keep their 4xx status when they say it is safe to expose.
+const toAppError = (err) => {
+    if (err instanceof AppError) return err;
+
+    const status = err.status ?? err.statusCode;
+    if (bodyParserErrors[err.type]) {
+        const [code, message] = bodyParserErrors[err.type];
+        return new AppError(status ?? 400, code, message);
+    }
+    if (status >= 400 && status < 500 && err.expose) {
+        return new AppError(status, ErrorCodes.BAD_REQUEST, err.message);
+    }
+    return new AppError(500, ErrorCodes.INTERNAL_ERROR, "Something went wrong");
+};
+
+// Renders every error in the envelope documented in utils/errors.js.
+export const errorHandler = (err, req, res, next) => {
+    const error = toAppError(err);
+
+    if (error.status >= 500) {
+        req.log.error("request failed", { code: error.code, error: err.cause ?? err });
+    }
+
+    if (res.headersSent) {
+        return res.end();
+    }
+
+    res.status(error.status).json(error.toJSON(req.id));
+};
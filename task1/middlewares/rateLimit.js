@@ -0,0 +1,62 @@
+import quotaStore from "../stores/quotaStore.js";
+import { AppError, ErrorCodes } from "../utils/errors.js";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const secondsUntil = (time, now) => Math.max(1, Math.ceil((time - now) / 1000));
+
+// Enforces the client's requests-per-minute limit and daily token quota
+// (fixed windows, UTC days). Controllers report what a call cost by setting
+// res.locals.usage; it is added to the daily counter once the response ends.
+// A response that never finishes (the client went away mid-stream) reports
+// its partial usage through res.locals.chargeUsage instead.
+const rateLimit = async (req, res, next) => {
+    const { client } = req;
+    const now = Date.now();
+
+    const minute = Math.floor(now / MINUTE);
+    const minuteReset = (minute + 1) * MINUTE;
+    const requests = await quotaStore.hit(`rpm:${client.id}:${minute}`, 1, minuteReset);
+
+    res.set({
+        "RateLimit-Limit": String(client.requestsPerMinute),
+        "RateLimit-Remaining": String(Math.max(0, client.requestsPerMinute - requests)),
+        "RateLimit-Reset": String(secondsUntil(minuteReset, now)),
+    });
+
+    if (requests > client.requestsPerMinute) {
+        res.set("Retry-After", String(secondsUntil(minuteReset, now)));
+        throw new AppError(429, ErrorCodes.RATE_LIMITED, `Rate limit of ${client.requestsPerMinute} requests per minute exceeded`);
+    }
+
+    const day = Math.floor(now / DAY);
+    const dayReset = (day + 1) * DAY;
+    const tokenKey = `tokens:${client.id}:${day}`;
+    const tokensUsed = await quotaStore.peek(tokenKey);
+
+    res.set({
+        "X-Token-Quota-Limit": String(client.dailyTokenQuota),
+        "X-Token-Quota-Remaining": String(Math.max(0, client.dailyTokenQuota - tokensUsed)),
+    });
+
+    if (tokensUsed >= client.dailyTokenQuota) {
+        res.set("Retry-After", String(secondsUntil(dayReset, now)));
+        throw new AppError(429, ErrorCodes.QUOTA_EXCEEDED, `Daily quota of ${client.dailyTokenQuota} tokens exceeded`);
+    }
+
+    const charge = (usage) => {
+        const tokens = usage?.totalTokens;
+        if (!tokens) return;
+        quotaStore.hit(tokenKey, tokens, dayReset).catch((error) => {
+            req.log.error("failed to record token usage", { error });
+        });
+    };
+
+    res.locals.chargeUsage = charge;
+    res.on("finish", () => charge(res.locals.usage));
+
+    next();
+};
+
+export default rateLimit;
@@ -0,0 +1,12 @@
+import crypto from "node:crypto";
+
+// Tags every request with an id (reusing a sane incoming X-Request-Id) so
+// errors and logs can be traced back to a single call.
+const requestId = (req, res, next) => {
+    const incoming = req.get("X-Request-Id");
+    req.id = incoming && /^[\w.-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.set("X-Request-Id", req.id);
+    next();
+};
+
+export default requestId;
@@ -0,0 +1,46 @@
+import logger from "../utils/logger.js";
+import { httpDuration, httpRequests } from "../utils/metrics.js";
+
+// Route templates ("/api/conversations/:id") keep metric labels bounded.
+// req.baseUrl is already unwound when an error left the router, so the mount
+// path is rebuilt from the URL segments in front of the matched route.
+const routeOf = (req) => {
+    if (!req.route) return "unmatched";
+    const segments = req.originalUrl.split("?")[0].split("/").filter(Boolean);
+    const routeSegments = req.route.path.split("/").filter(Boolean);
+    const mount = segments.slice(0, segments.length - routeSegments.length);
+    return `/${[...mount, ...routeSegments].join("/")}`;
+};
+
+// Logs one structured line per request once the response is finished and
+// feeds the HTTP metrics. Controllers add context through res.locals:
+// llm ({ provider, model }) and usage ({ inputTokens, outputTokens, totalTokens }).
+const requestLogger = (req, res, next) => {
+    const started = performance.now();
+    req.log = logger.child({ requestId: req.id });
+
+    res.on("finish", () => {
+        const durationMs = Math.round((performance.now() - started) * 10) / 10;
+        const route = routeOf(req);
+
+        httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        httpDuration.observe({ method: req.method, route }, durationMs / 1000);
+
+        req.log.info("request", {
+            method: req.method,
+            path: req.originalUrl,
+            route,
+            status: res.statusCode,
+            durationMs,
+            clientId: req.client?.id,
+            provider: res.locals.llm?.provider,
+            model: res.locals.llm?.model,
+            usage: res.locals.usage,
+            cache: res.get("X-Cache"),
+        });
+    });
+
+    next();
+};
+
+export default requestLogger;
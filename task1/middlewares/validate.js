@@ -0,0 +1,17 @@
+import { validateSchema } from "../utils/schemaValidator.js";
+import { validationError } from "../utils/errors.js";
+
+// Validates req.body (or req.params) against a declarative schema and
+// replaces it with the cleaned value, so controllers only see valid input.
+const validate = (schema, source = "body") => (req, res, next) => {
+    const { value, errors } = validateSchema(schema, req[source] ?? {});
+
+    if (errors.length) {
+        return next(validationError(errors, `Request ${source} is invalid`));
+    }
+
+    req[source] = value;
+    next();
+};
+
+export default validate;
@@ -0,0 +1,43 @@
+import genAI from "../configs/geminiClientConfig.js";
+
+const toUsage = (metadata) => ({
+  inputTokens: metadata?.promptTokenCount ?? 0,
+  outputTokens: metadata?.candidatesTokenCount ?? 0,
+  totalTokens: metadata?.totalTokenCount ?? 0,
+});
+
+const geminiProvider = {
+  name: "gemini",
+
+  async generate({ model, systemInstruction, contents, responseSchema }) {
+    const config = { systemInstruction };
+    if (responseSchema) {
+      config.responseMimeType = "application/json";
+      config.responseJsonSchema = responseSchema;
+    }
+
+    const completion = await genAI.models.generateContent({ model, contents, config });
+
+    return {
+      text: completion.candidates[0].content.parts[0].text,
+      usage: toUsage(completion.usageMetadata),
+    };
+  },
+
+  async *stream({ model, systemInstruction, contents, signal }) {
+    const stream = await genAI.models.generateContentStream({
+      model,
+      contents,
+      config: { systemInstruction, abortSignal: signal },
+    });
+
+    for await (const chunk of stream) {
+      yield {
+        text: chunk.text ?? "",
+        usage: chunk.usageMetadata ? toUsage(chunk.usageMetadata) : undefined,
+      };
+    }
+  },
+};
+
+export default geminiProvider;
@@ -0,0 +1,100 @@
+import envConfig from "../configs/envConfig.js";
+import geminiProvider from "./geminiProvider.js";
+import openaiProvider from "./openaiProvider.js";
+import mockProvider from "./mockProvider.js";
+import { llmDuration, llmRequests, llmTokens } from "../utils/metrics.js";
+import { contentTokens, estimateTokens } from "../utils/history.js";
+
+// Every provider exposes the same interface:
+//   generate({ model, systemInstruction, contents, responseSchema? }) -> { text, usage }
+//   stream({ model, systemInstruction, contents, signal? }) -> async iterable of { text, usage? }
+// where contents are Gemini-style { role: "user" | "model", parts: [{ text }] },
+// usage is { inputTokens, outputTokens, totalTokens } and responseSchema is a
+// JSON Schema the provider should constrain its (JSON) answer to. Aborting
+// `signal` stops a stream upstream; the stream then throws.
+// What a stream cut short has cost so far: the last usage the provider sent,
+// or an estimate from the request and the text streamed until then.
+const partialUsage = (request, usage, text) => {
+  if (usage) return usage;
+  const inputTokens = estimateTokens(request.systemInstruction) +
+    request.contents.reduce((sum, content) => sum + contentTokens(content), 0);
+  const outputTokens = estimateTokens(text);
+  return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens };
+};
+
+// Wraps a provider so every upstream call feeds the latency, outcome and
+// token metrics, whichever controller made it.
+const instrument = (provider) => {
+  const record = (model, started, outcome, usage) => {
+    const labels = { provider: provider.name, model };
+    llmRequests.inc({ ...labels, outcome });
+    llmDuration.observe(labels, (performance.now() - started) / 1000);
+    if (usage) {
+      llmTokens.inc({ ...labels, type: "input" }, usage.inputTokens);
+      llmTokens.inc({ ...labels, type: "output" }, usage.outputTokens);
+    }
+  };
+
+  return {
+    name: provider.name,
+
+    async generate(request) {
+      const started = performance.now();
+      try {
+        const result = await provider.generate(request);
+        record(request.model, started, "success", result.usage);
+        return result;
+      } catch (error) {
+        record(request.model, started, "error");
+        throw error;
+      }
+    },
+
+    // A stream aborted through request.signal, or left early by its consumer,
+    // is recorded as "aborted" with its partial usage; the error thrown on
+    // abort carries that usage as error.usage.
+    async *stream(request) {
+      const started = performance.now();
+      let usage;
+      let text = "";
+      let outcome;
+      try {
+        for await (const chunk of provider.stream(request)) {
+          if (chunk.usage) usage = chunk.usage;
+          text += chunk.text;
+          yield chunk;
+        }
+        outcome = "success";
+      } catch (error) {
+        if (request.signal?.aborted) error.usage = partialUsage(request, usage, text);
+        else outcome = "error";
+        throw error;
+      } finally {
+        if (outcome === "success" || outcome === "error") {
+          record(request.model, started, outcome, usage);
+        } else {
+          record(request.model, started, "aborted", partialUsage(request, usage, text));
+        }
+      }
+    },
+  };
+};
+
+const providers = Object.fromEntries(
+  [geminiProvider, openaiProvider, mockProvider].map((provider) => [provider.name, instrument(provider)])
+);
+
+// Picks the provider and model for a request. Both fall back to envConfig and
+// can only be overridden with a provider that is enabled there and one of its
+// configured models. Returns null for anything else.
+export function resolveProvider({ provider = envConfig.llmProvider, model } = {}) {
+  if (!envConfig.enabledProviders.includes(provider) || !providers[provider]) return null;
+
+  const models = envConfig.llmModels[provider] ?? [];
+  const chosenModel = model ?? models[0];
+  if (!models.includes(chosenModel)) return null;
+
+  return { provider: providers[provider], model: chosenModel };
+}
+
+export default providers;
@@ -0,0 +1,68 @@
+import { estimateTokens } from "../utils/history.js";
+
+// Offline provider for local runs and tests. The reply depends only on the
+// model name and the last user turn, so the same request always gets the
+// same answer and the same token usage.
+const reply = ({ model, contents, responseSchema }) => {
+  const lastUserTurn = contents.findLast((content) => content.role === "user");
+  const userText = lastUserTurn?.parts.map((part) => part.text).join("") ?? "";
+  if (responseSchema) return JSON.stringify(sampleFor(responseSchema, `[${model}]`));
+  return `[${model}] You said: ${userText}`;
+};
+
+// Builds the simplest value that satisfies a JSON Schema, for structured output.
+const sampleFor = (schema, text) => {
+  if (schema.const !== undefined) return schema.const;
+  if (schema.enum) return schema.enum[0];
+  if (schema.anyOf || schema.oneOf) return sampleFor((schema.anyOf || schema.oneOf)[0], text);
+
+  switch ([].concat(schema.type)[0]) {
+    case "object":
+      return Object.fromEntries(
+        Object.entries(schema.properties ?? {}).map(([key, property]) => [key, sampleFor(property, text)])
+      );
+    case "array":
+      return Array.from({ length: schema.minItems ?? 1 }, () => sampleFor(schema.items ?? {}, text));
+    case "integer":
+    case "number":
+      return schema.minimum ?? 0;
+    case "boolean":
+      return false;
+    case "null":
+      return null;
+    default:
+      return text;
+  }
+};
+
+const usageFor = ({ systemInstruction, contents }, text) => {
+  const inputTokens = estimateTokens(systemInstruction) + contents
+    .flatMap((content) => content.parts)
+    .reduce((sum, part) => sum + estimateTokens(part.text), 0);
+  const outputTokens = estimateTokens(text);
+  return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens };
+};
+
+const mockProvider = {
+  name: "mock",
+
+  async generate(request) {
+    const text = reply(request);
+    return { text, usage: usageFor(request, text) };
+  },
+
+  async *stream(request) {
+    const text = reply(request);
+    const words = text.split(/(?<=\s)/);
+
+    for (const [index, word] of words.entries()) {
+      request.signal?.throwIfAborted();
+      yield {
+        text: word,
+        usage: index === words.length - 1 ? usageFor(request, text) : undefined,
+      };
+    }
+  },
+};
+
+export default mockProvider;
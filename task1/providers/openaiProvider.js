@@ -0,0 +1,60 @@
+import openAI from "../configs/openaiClientConfig.js";
+
+// OpenAI takes a flat message list with a leading system message, while the
+// rest of the app speaks Gemini-style { role: "user" | "model", parts } contents.
+const toMessages = (systemInstruction, contents) => [
+  ...(systemInstruction ? [{ role: "system", content: systemInstruction }] : []),
+  ...contents.map((content) => ({
+    role: content.role === "model" ? "assistant" : "user",
+    content: content.parts.map((part) => part.text).join(""),
+  })),
+];
+
+const toUsage = (usage) => ({
+  inputTokens: usage?.prompt_tokens ?? 0,
+  outputTokens: usage?.completion_tokens ?? 0,
+  totalTokens: usage?.total_tokens ?? 0,
+});
+
+const openaiProvider = {
+  name: "openai",
+
+  async generate({ model, systemInstruction, contents, responseSchema }) {
+    const completion = await openAI.chat.completions.create({
+      model,
+      messages: toMessages(systemInstruction, contents),
+      ...(responseSchema && {
+        response_format: {
+          type: "json_schema",
+          json_schema: { name: "response", schema: responseSchema },
+        },
+      }),
+    });
+
+    return {
+      text: completion.choices[0].message.content ?? "",
+      usage: toUsage(completion.usage),
+    };
+  },
+
+  async *stream({ model, systemInstruction, contents, signal }) {
+    const stream = await openAI.chat.completions.create(
+      {
+        model,
+        messages: toMessages(systemInstruction, contents),
+        stream: true,
+        stream_options: { include_usage: true },
+      },
+      { signal }
+    );
+
+    for await (const chunk of stream) {
+      yield {
+        text: chunk.choices[0]?.delta?.content ?? "",
+        usage: chunk.usage ? toUsage(chunk.usage) : undefined,
+      };
+    }
+  },
+};
+
+export default openaiProvider;
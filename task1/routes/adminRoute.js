@@ -0,0 +1,30 @@
+import {Router} from "express"
+import {
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    getCacheStats,
+    purgeCache,
+} from "../controllers/adminController.js";
+import { createTemplate, updateTemplate, deleteTemplate } from "../controllers/templateController.js";
+import { requireAdmin } from "../middlewares/auth.js";
+import validate from "../middlewares/validate.js";
+import { createApiKeySchema } from "../schemas/adminSchemas.js";
+import { createTemplateSchema, updateTemplateSchema } from "../schemas/templateSchemas.js";
+
+const router = Router()
+
+router.use(requireAdmin)
+
+router.post("/keys", validate(createApiKeySchema), createApiKey)
+router.get("/keys", listApiKeys)
+router.delete("/keys/:id", revokeApiKey)
+
+router.get("/cache", getCacheStats)
+router.delete("/cache", purgeCache)
+
+router.post("/templates", validate(createTemplateSchema), createTemplate)
+router.put("/templates/:id", validate(updateTemplateSchema), updateTemplate)
+router.delete("/templates/:id", deleteTemplate)
+
+export default router
@@ -0,0 +1,10 @@
+import {Router} from "express"
+import { renderMetrics } from "../utils/metrics.js";
+
+const router = Router()
+
+router.get("/metrics", (req, res) => {
+    res.type("text/plain; version=0.0.4").send(renderMetrics());
+})
+
+export default router
@@ -1,8 +1,32 @@
 import {Router} from "express"
-import getPromptResponse from "../controllers/promptController.js";
+import getPromptResponse, { streamPromptResponse } from "../controllers/promptController.js";
+import {
+    createConversation,
+    continueConversation,
+    listConversations,
+    getConversation,
+    deleteConversation,
+} from "../controllers/conversationController.js";
+import templateRoute from "./templateRoute.js";
+import validate from "../middlewares/validate.js";
+import {
+    promptSchema,
+    streamPromptSchema,
+    createConversationSchema,
+    conversationMessageSchema,
+} from "../schemas/promptSchemas.js";
 
 const router = Router()
 
-router.post("/prompt", getPromptResponse)
+router.post("/prompt", validate(promptSchema), getPromptResponse)
+router.post("/prompt/stream", validate(streamPromptSchema), streamPromptResponse)
 
-export default router
\ No newline at end of file
+router.post("/conversations", validate(createConversationSchema), createConversation)
+router.get("/conversations", listConversations)
+router.get("/conversations/:id", getConversation)
+router.post("/conversations/:id/messages", validate(conversationMessageSchema), continueConversation)
+router.delete("/conversations/:id", deleteConversation)
+
+router.use("/templates", templateRoute)
+
+export default router
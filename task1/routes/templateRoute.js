@@ -0,0 +1,12 @@
+import {Router} from "express"
+import { listTemplates, getTemplate, previewTemplate } from "../controllers/templateController.js";
+import validate from "../middlewares/validate.js";
+import { renderTemplateSchema } from "../schemas/templateSchemas.js";
+
+const router = Router()
+
+router.get("/", listTemplates)
+router.get("/:id", getTemplate)
+router.post("/:id/render", validate(renderTemplateSchema), previewTemplate)
+
+export default router
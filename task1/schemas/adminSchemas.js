@@ -0,0 +1,12 @@
+import envConfig from "../configs/envConfig.js";
+
+export const createApiKeySchema = {
+    type: "object",
+    required: ["name"],
+    additionalProperties: false,
+    properties: {
+        name: { type: "string", trim: true, maxLength: 100 },
+        requestsPerMinute: { type: "integer", minimum: 1, default: envConfig.defaultRequestsPerMinute },
+        dailyTokenQuota: { type: "integer", minimum: 0, default: envConfig.defaultDailyTokenQuota },
+    },
+};
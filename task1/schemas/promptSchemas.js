@@ -0,0 +1,59 @@
+
+const providerFields = {
+    provider: { type: "string", trim: true },
+    model: { type: "string", trim: true },
+};
+
+// systemPrompt and templateId are alternatives; utils/templates.js rejects
+// requests that send both and falls back to the default template.
+const systemPromptFields = {
+    systemPrompt: { type: "string", trim: true, maxLength: 20000 },
+    templateId: { type: "string", trim: true },
+    templateVersion: { type: "integer", minimum: 1 },
+    variables: {
+        type: "object",
+        additionalProperties: { type: ["string", "number", "boolean"] },
+    },
+};
+
+export const streamPromptSchema = {
+    type: "object",
+    required: ["userPrompt"],
+    additionalProperties: false,
+    properties: {
+        userPrompt: { type: "string", trim: true, maxLength: 20000 },
+        ...systemPromptFields,
+        ...providerFields,
+    },
+};
+
+// The JSON endpoint can also ask for structured output (a JSON Schema the
+// answer must satisfy and how many times to re-ask when it does not) and can
+// opt out of the response cache with cache: false.
+export const promptSchema = {
+    ...streamPromptSchema,
+    properties: {
+        ...streamPromptSchema.properties,
+        responseSchema: { type: "object" },
+        maxRetries: { type: "integer", minimum: 0, maximum: 5 },
+        cache: { type: "boolean" },
+    },
+};
+
+export const createConversationSchema = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        ...systemPromptFields,
+        ...providerFields,
+    },
+};
+
+export const conversationMessageSchema = {
+    type: "object",
+    required: ["userPrompt"],
+    additionalProperties: false,
+    properties: {
+        userPrompt: { type: "string", trim: true, maxLength: 20000 },
+    },
+};
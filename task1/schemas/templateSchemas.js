@@ -0,0 +1,50 @@
+
+const templateFields = {
+    name: { type: "string", trim: true, maxLength: 100 },
+    description: { type: "string", trim: true, maxLength: 500 },
+    template: { type: "string", trim: true, maxLength: 20000 },
+    variables: {
+        type: "array",
+        default: [],
+        items: {
+            type: "object",
+            required: ["name"],
+            additionalProperties: false,
+            properties: {
+                name: { type: "string", pattern: "^[A-Za-z_][A-Za-z0-9_]*$" },
+                description: { type: "string", trim: true, maxLength: 200 },
+                required: { type: "boolean", default: true },
+                default: { type: "string" },
+            },
+        },
+    },
+};
+
+export const createTemplateSchema = {
+    type: "object",
+    required: ["id", "template"],
+    additionalProperties: false,
+    properties: {
+        id: { type: "string", pattern: "^[a-z0-9][a-z0-9-]{0,63}$" },
+        ...templateFields,
+    },
+};
+
+export const updateTemplateSchema = {
+    type: "object",
+    required: ["template"],
+    additionalProperties: false,
+    properties: templateFields,
+};
+
+export const renderTemplateSchema = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        version: { type: "integer", minimum: 1 },
+        variables: {
+            type: "object",
+            additionalProperties: { type: ["string", "number", "boolean"] },
+        },
+    },
+};
@@ -0,0 +1,72 @@
+import envConfig from "../configs/envConfig.js";
+import JsonFile from "./jsonFile.js";
+
+// API keys are never stored in plain text: records are looked up by the
+// SHA-256 hash of the key. Interface: create, findByHash, list and revoke.
+
+export class MemoryApiKeyStore {
+  constructor() {
+    this.keys = new Map();
+  }
+
+  async create(record) {
+    this.keys.set(record.id, { ...record });
+    return record;
+  }
+
+  async findByHash(keyHash) {
+    const record = [...this.keys.values()].find((key) => key.keyHash === keyHash);
+    return record ? { ...record } : null;
+  }
+
+  async list() {
+    return [...this.keys.values()].map((key) => ({ ...key }));
+  }
+
+  async revoke(id) {
+    const record = this.keys.get(id);
+    if (!record) return null;
+    record.revokedAt ??= new Date().toISOString();
+    return { ...record };
+  }
+}
+
+export class FileApiKeyStore {
+  constructor(filePath) {
+    this.file = new JsonFile(filePath);
+  }
+
+  async create(record) {
+    await this.file.update((keys) => {
+      keys[record.id] = record;
+    });
+    return record;
+  }
+
+  async findByHash(keyHash) {
+    const keys = await this.file.read();
+    return Object.values(keys).find((key) => key.keyHash === keyHash) || null;
+  }
+
+  async list() {
+    return Object.values(await this.file.read());
+  }
+
+  async revoke(id) {
+    return this.file.update((keys) => {
+      if (!keys[id]) return null;
+      keys[id].revokedAt ??= new Date().toISOString();
+      return keys[id];
+    });
+  }
+}
+
+export function createApiKeyStore(type = envConfig.apiKeyStore) {
+  if (type === "memory") return new MemoryApiKeyStore();
+  if (type === "file") return new FileApiKeyStore(envConfig.apiKeyStorePath);
+  throw new Error(`Unknown API key store: ${type}`);
+}
+
+const apiKeyStore = createApiKeyStore();
+
+export default apiKeyStore;
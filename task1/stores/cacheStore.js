@@ -0,0 +1,95 @@
+import envConfig from "../configs/envConfig.js";
+import JsonFile from "./jsonFile.js";
+
+// Response cache backends. Entries expire after their TTL and the least
+// recently used entry is evicted once maxEntries is reached.
+// Interface: get(key), set(key, value, ttlMs), clear() -> number removed, size().
+
+export class MemoryCacheStore {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return undefined;
+    // Re-inserting moves the key to the back of the Map's insertion order.
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async clear() {
+    const removed = this.entries.size;
+    this.entries.clear();
+    return removed;
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+// Same policy persisted to a JSON file, so the cache survives restarts.
+export class FileCacheStore {
+  constructor(filePath, maxEntries) {
+    this.file = new JsonFile(filePath);
+    this.maxEntries = maxEntries;
+  }
+
+  async get(key) {
+    const now = Date.now();
+    return this.file.update((entries) => {
+      const entry = entries[key];
+      if (!entry || entry.expiresAt <= now) {
+        delete entries[key];
+        return undefined;
+      }
+      entry.usedAt = now;
+      return entry.value;
+    });
+  }
+
+  async set(key, value, ttlMs) {
+    const now = Date.now();
+    await this.file.update((entries) => {
+      entries[key] = { value, expiresAt: now + ttlMs, usedAt: now };
+      const keys = Object.keys(entries).sort((a, b) => entries[a].usedAt - entries[b].usedAt);
+      for (const stale of keys.slice(0, Math.max(0, keys.length - this.maxEntries))) {
+        delete entries[stale];
+      }
+    });
+  }
+
+  async clear() {
+    return this.file.update((entries) => {
+      const removed = Object.keys(entries).length;
+      for (const key of Object.keys(entries)) delete entries[key];
+      return removed;
+    });
+  }
+
+  async size() {
+    return Object.keys(await this.file.read()).length;
+  }
+}
+
+export function createCacheStore(type = envConfig.responseCacheStore) {
+  if (type === "memory") return new MemoryCacheStore(envConfig.responseCacheMaxEntries);
+  if (type === "file") return new FileCacheStore(envConfig.responseCacheStorePath, envConfig.responseCacheMaxEntries);
+  throw new Error(`Unknown response cache store: ${type}`);
+}
+
+const cacheStore = createCacheStore();
+
+export default cacheStore;
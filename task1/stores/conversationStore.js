@@ -0,0 +1,79 @@
+import envConfig from "../configs/envConfig.js";
+import JsonFile from "./jsonFile.js";
+
+// Every store exposes the same async interface so the controller does not
+// care where conversations live: create, get, list, save and delete.
+
+export class MemoryConversationStore {
+  constructor() {
+    this.conversations = new Map();
+  }
+
+  async create(conversation) {
+    this.conversations.set(conversation.id, structuredClone(conversation));
+    return conversation;
+  }
+
+  async get(id) {
+    const conversation = this.conversations.get(id);
+    return conversation ? structuredClone(conversation) : null;
+  }
+
+  async list() {
+    return [...this.conversations.values()].map((c) => structuredClone(c));
+  }
+
+  async save(conversation) {
+    this.conversations.set(conversation.id, structuredClone(conversation));
+    return conversation;
+  }
+
+  async delete(id) {
+    return this.conversations.delete(id);
+  }
+}
+
+// Keeps every conversation in a single JSON file keyed by id.
+export class FileConversationStore {
+  constructor(filePath) {
+    this.file = new JsonFile(filePath);
+  }
+
+  async create(conversation) {
+    await this.file.update((all) => {
+      all[conversation.id] = conversation;
+    });
+    return conversation;
+  }
+
+  async get(id) {
+    const all = await this.file.read();
+    return all[id] || null;
+  }
+
+  async list() {
+    return Object.values(await this.file.read());
+  }
+
+  async save(conversation) {
+    return this.create(conversation);
+  }
+
+  async delete(id) {
+    return this.file.update((all) => {
+      if (!all[id]) return false;
+      delete all[id];
+      return true;
+    });
+  }
+}
+
+export function createConversationStore(type = envConfig.conversationStore) {
+  if (type === "memory") return new MemoryConversationStore();
+  if (type === "file") return new FileConversationStore(envConfig.conversationStorePath);
+  throw new Error(`Unknown conversation store: ${type}`);
+}
+
+const conversationStore = createConversationStore();
+
+export default conversationStore;
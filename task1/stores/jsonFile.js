@@ -0,0 +1,38 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// A JSON object persisted in a single file, used by the file-backed stores.
+// Updates are serialized so two requests finishing at the same time cannot
+// clobber each other's writes, and each write goes to a temporary file that
+// is then renamed over the target, so a read never sees half a file. Until
+// the file exists it reads as `initial`.
+export default class JsonFile {
+  constructor(filePath, initial = {}) {
+    this.filePath = path.resolve(filePath);
+    this.initial = initial;
+    this.writing = Promise.resolve();
+  }
+
+  async read() {
+    try {
+      const raw = await fs.readFile(this.filePath, "utf8");
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === "ENOENT") return structuredClone(this.initial);
+      throw error;
+    }
+  }
+
+  async update(mutate) {
+    const run = this.writing.then(async () => {
+      const data = await this.read();
+      const result = mutate(data);
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(`${this.filePath}.tmp`, JSON.stringify(data, null, 2));
+      await fs.rename(`${this.filePath}.tmp`, this.filePath);
+      return result;
+    });
+    this.writing = run.catch(() => {});
+    return run;
+  }
+}
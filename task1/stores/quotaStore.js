@@ -0,0 +1,106 @@
+import fs from "node:fs";
+import path from "node:path";
+import envConfig from "../configs/envConfig.js";
+import JsonFile from "./jsonFile.js";
+
+// Counters for rate limits and quotas. Each key names one fixed window
+// (e.g. "rpm:<client>:<minute>") and expires at the end of it.
+// Interface: hit(key, amount, expiresAt) -> new total, peek(key) -> total.
+
+export class MemoryQuotaStore {
+  constructor() {
+    this.counters = new Map();
+  }
+
+  prune(now) {
+    for (const [key, counter] of this.counters) {
+      if (counter.expiresAt <= now) this.counters.delete(key);
+    }
+  }
+
+  async hit(key, amount, expiresAt) {
+    const now = Date.now();
+    if (this.counters.size > 10000) this.prune(now);
+
+    const counter = this.counters.get(key);
+    const total = counter && counter.expiresAt > now ? counter.total + amount : amount;
+    this.counters.set(key, { total, expiresAt });
+    return total;
+  }
+
+  async peek(key) {
+    const counter = this.counters.get(key);
+    return counter && counter.expiresAt > Date.now() ? counter.total : 0;
+  }
+}
+
+export class FileQuotaStore {
+  constructor(filePath) {
+    this.file = new JsonFile(filePath);
+  }
+
+  async hit(key, amount, expiresAt) {
+    const now = Date.now();
+    return this.file.update((counters) => {
+      for (const [name, counter] of Object.entries(counters)) {
+        if (counter.expiresAt <= now) delete counters[name];
+      }
+      const total = (counters[key]?.total ?? 0) + amount;
+      counters[key] = { total, expiresAt };
+      return total;
+    });
+  }
+
+  async peek(key) {
+    const counter = (await this.file.read())[key];
+    return counter && counter.expiresAt > Date.now() ? counter.total : 0;
+  }
+}
+
+// Needs the optional better-sqlite3 dependency; it is only loaded when the
+// SQLite store is selected.
+export class SqliteQuotaStore {
+  constructor(db) {
+    this.db = db;
+    db.exec(`CREATE TABLE IF NOT EXISTS quota_counters (
+      key TEXT PRIMARY KEY,
+      total INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL
+    )`);
+    this.upsert = db.prepare(`
+      INSERT INTO quota_counters (key, total, expires_at) VALUES (@key, @amount, @expiresAt)
+      ON CONFLICT(key) DO UPDATE SET
+        total = CASE WHEN expires_at <= @now THEN @amount ELSE total + @amount END,
+        expires_at = @expiresAt
+      RETURNING total`);
+    this.select = db.prepare("SELECT total FROM quota_counters WHERE key = ? AND expires_at > ?");
+    this.purge = db.prepare("DELETE FROM quota_counters WHERE expires_at <= ?");
+  }
+
+  static async open(filePath) {
+    const { default: Database } = await import("better-sqlite3");
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    return new SqliteQuotaStore(new Database(filePath));
+  }
+
+  async hit(key, amount, expiresAt) {
+    const now = Date.now();
+    this.purge.run(now);
+    return this.upsert.get({ key, amount, expiresAt, now }).total;
+  }
+
+  async peek(key) {
+    return this.select.get(key, Date.now())?.total ?? 0;
+  }
+}
+
+export async function createQuotaStore(type = envConfig.quotaStore) {
+  if (type === "memory") return new MemoryQuotaStore();
+  if (type === "file") return new FileQuotaStore(envConfig.quotaStorePath);
+  if (type === "sqlite") return SqliteQuotaStore.open(envConfig.quotaStorePath);
+  throw new Error(`Unknown quota store: ${type}`);
+}
+
+const quotaStore = await createQuotaStore();
+
+export default quotaStore;
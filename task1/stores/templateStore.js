@@ -0,0 +1,104 @@
+import fs from "node:fs";
+import envConfig from "../configs/envConfig.js";
+import JsonFile from "./jsonFile.js";
+
+// Templates are kept as { [id]: { id, versions: [...] } } with versions in
+// ascending order; a new version is appended on every update and old ones
+// stay addressable. Both stores start from the seed file in configs/.
+// Interface: list, get(id, version?), create, addVersion, delete.
+
+const loadSeeds = () => JSON.parse(fs.readFileSync(envConfig.templateSeedPath, "utf8"));
+
+const pickVersion = (entry, version) => {
+  if (!entry) return null;
+  const found = version === undefined ? entry.versions.at(-1) : entry.versions.find((v) => v.version === version);
+  return found ? { id: entry.id, ...found, versions: entry.versions.map((v) => v.version) } : null;
+};
+
+const appendVersion = (entry, template) => {
+  const version = { ...template, version: (entry.versions.at(-1)?.version ?? 0) + 1, createdAt: new Date().toISOString() };
+  entry.versions.push(version);
+  return version;
+};
+
+export class MemoryTemplateStore {
+  constructor(seeds = {}) {
+    this.templates = structuredClone(seeds);
+  }
+
+  async list() {
+    return Object.values(this.templates).map((entry) => pickVersion(entry));
+  }
+
+  async get(id, version) {
+    return pickVersion(this.templates[id], version);
+  }
+
+  async create(id, template) {
+    if (this.templates[id]) return null;
+    this.templates[id] = { id, versions: [] };
+    appendVersion(this.templates[id], template);
+    return pickVersion(this.templates[id]);
+  }
+
+  async addVersion(id, template) {
+    if (!this.templates[id]) return null;
+    appendVersion(this.templates[id], template);
+    return pickVersion(this.templates[id]);
+  }
+
+  async delete(id) {
+    if (!this.templates[id]) return false;
+    delete this.templates[id];
+    return true;
+  }
+}
+
+export class FileTemplateStore {
+  constructor(filePath, seeds = {}) {
+    this.file = new JsonFile(filePath, seeds);
+  }
+
+  async list() {
+    return Object.values(await this.file.read()).map((entry) => pickVersion(entry));
+  }
+
+  async get(id, version) {
+    return pickVersion((await this.file.read())[id], version);
+  }
+
+  async create(id, template) {
+    return this.file.update((templates) => {
+      if (templates[id]) return null;
+      templates[id] = { id, versions: [] };
+      appendVersion(templates[id], template);
+      return pickVersion(templates[id]);
+    });
+  }
+
+  async addVersion(id, template) {
+    return this.file.update((templates) => {
+      if (!templates[id]) return null;
+      appendVersion(templates[id], template);
+      return pickVersion(templates[id]);
+    });
+  }
+
+  async delete(id) {
+    return this.file.update((templates) => {
+      if (!templates[id]) return false;
+      delete templates[id];
+      return true;
+    });
+  }
+}
+
+export function createTemplateStore(type = envConfig.templateStore) {
+  if (type === "memory") return new MemoryTemplateStore(loadSeeds());
+  if (type === "file") return new FileTemplateStore(envConfig.templateStorePath, loadSeeds());
+  throw new Error(`Unknown template store: ${type}`);
+}
+
+const templateStore = createTemplateStore();
+
+export default templateStore;
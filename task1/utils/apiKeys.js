@@ -0,0 +1,18 @@
+import crypto from "node:crypto";
+
+const KEY_PREFIX = "tk_";
+
+export function generateApiKey() {
+  return KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+}
+
+export function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+// Constant-time comparison for shared secrets such as the admin token.
+export function secretsMatch(given, expected) {
+  const a = Buffer.from(hashApiKey(given));
+  const b = Buffer.from(hashApiKey(expected));
+  return crypto.timingSafeEqual(a, b);
+}
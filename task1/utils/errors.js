@@ -0,0 +1,77 @@
+
+/**
+ * Every failed request is answered with the same envelope:
+ *
+ *   {
+ *     "error": {
+ *       "code": "VALIDATION_FAILED",          // stable, machine-readable
+ *       "message": "Request body is invalid",  // human-readable, may change
+ *       "requestId": "3f0c...",                // also sent as X-Request-Id
+ *       "details": [                           // optional, per-field problems
+ *         { "field": "userPrompt", "message": "is required" }
+ *       ]
+ *     }
+ *   }
+ *
+ * Controllers throw an AppError and the error middleware in app.js renders it.
+ */
+export const ErrorCodes = {
+  VALIDATION_FAILED: "VALIDATION_FAILED",
+  INVALID_JSON: "INVALID_JSON",
+  BAD_REQUEST: "BAD_REQUEST",
+  PAYLOAD_TOO_LARGE: "PAYLOAD_TOO_LARGE",
+  UNSUPPORTED_MEDIA_TYPE: "UNSUPPORTED_MEDIA_TYPE",
+  MODERATION_BLOCKED: "MODERATION_BLOCKED",
+  UNSUPPORTED_MODEL: "UNSUPPORTED_MODEL",
+  UNAUTHORIZED: "UNAUTHORIZED",
+  FORBIDDEN: "FORBIDDEN",
+  RATE_LIMITED: "RATE_LIMITED",
+  QUOTA_EXCEEDED: "QUOTA_EXCEEDED",
+  NOT_FOUND: "NOT_FOUND",
+  CONFLICT: "CONFLICT",
+  ROUTE_NOT_FOUND: "ROUTE_NOT_FOUND",
+  STRUCTURED_OUTPUT_INVALID: "STRUCTURED_OUTPUT_INVALID",
+  UPSTREAM_ERROR: "UPSTREAM_ERROR",
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+};
+
+export class AppError extends Error {
+  constructor(status, code, message, details = []) {
+    super(message);
+    this.name = "AppError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON(requestId) {
+    const error = { code: this.code, message: this.message, requestId };
+    if (this.details.length) error.details = this.details;
+    return { error };
+  }
+}
+
+export const validationError = (details, message = "Request is invalid") =>
+  new AppError(400, ErrorCodes.VALIDATION_FAILED, message, details);
+
+export const notFound = (message) => new AppError(404, ErrorCodes.NOT_FOUND, message);
+
+export const upstreamError = (cause) => {
+  const error = new AppError(502, ErrorCodes.UPSTREAM_ERROR, "Error generating response");
+  error.cause = cause;
+  return error;
+};
+
+export const unsupportedModelError = ({ provider, model }) =>
+  new AppError(400, ErrorCodes.UNSUPPORTED_MODEL, "Unsupported provider or model", [
+    { field: model ? "model" : "provider", message: `"${provider ?? "default"}/${model ?? "default"}" is not enabled` },
+  ]);
+
+// Turns moderation violations into envelope details.
+export const moderationError = (violations) =>
+  new AppError(
+    400,
+    ErrorCodes.MODERATION_BLOCKED,
+    "Your input violated the moderation policy. Please rephrase.",
+    violations.map(({ field, ...v }) => ({ field, message: `Matched moderation rule ${v.ruleId}`, ...v }))
+  );
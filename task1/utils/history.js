@@ -0,0 +1,27 @@
+
+// Rough token estimate (~4 characters per token). Good enough for budgeting
+// history without pulling in a tokenizer for every model.
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / 4);
+}
+
+export function contentTokens(content) {
+  return content.parts.reduce((sum, part) => sum + estimateTokens(part.text), 0);
+}
+
+// Drops the oldest user/model pairs until the history fits the budget.
+// The latest turn is always kept and the result always starts with a user turn.
+export function trimHistory(contents, budget) {
+  const trimmed = [...contents];
+  let total = trimmed.reduce((sum, content) => sum + contentTokens(content), 0);
+
+  while (total > budget && trimmed.length > 1) {
+    total -= contentTokens(trimmed.shift());
+    if (trimmed.length > 1 && trimmed[0].role !== "user") {
+      total -= contentTokens(trimmed.shift());
+    }
+  }
+
+  return trimmed;
+}
@@ -0,0 +1,37 @@
+import envConfig from "../configs/envConfig.js";
+
+const LEVELS = ["debug", "info", "warn", "error"];
+
+const serializeError = (error) =>
+  error instanceof Error
+    ? { name: error.name, message: error.message, code: error.code, stack: error.stack, cause: error.cause && serializeError(error.cause) }
+    : error;
+
+// Writes one JSON object per line: { time, level, msg, ...fields }.
+// Errors passed as `error` are expanded so their stack survives serialization.
+function createLogger(bindings = {}) {
+  const threshold = LEVELS.indexOf(envConfig.logLevel);
+
+  const write = (level, msg, fields = {}) => {
+    if (LEVELS.indexOf(level) < threshold) return;
+
+    const entry = { time: new Date().toISOString(), level, msg, ...bindings, ...fields };
+    if (entry.error) entry.error = serializeError(entry.error);
+
+    const line = JSON.stringify(entry) + "\n";
+    if (level === "error") process.stderr.write(line);
+    else process.stdout.write(line);
+  };
+
+  return {
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+    child: (fields) => createLogger({ ...bindings, ...fields }),
+  };
+}
+
+const logger = createLogger();
+
+export default logger;
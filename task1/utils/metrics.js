@@ -0,0 +1,88 @@
+
+// Minimal Prometheus-style metrics: counters and histograms with labels,
+// rendered in the text exposition format by GET /metrics.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(",")}}`;
+};
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+const registry = [];
+
+export function counter(name, help) {
+  const series = new Map();
+
+  const metric = {
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labels);
+      const current = series.get(key) ?? { labels, value: 0 };
+      current.value += amount;
+      series.set(key, current);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labels, value } of series.values()) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+      return lines.join("\n");
+    },
+  };
+
+  registry.push(metric);
+  return metric;
+}
+
+export function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+
+  const metric = {
+    observe(labels, value) {
+      const key = labelKey(labels);
+      const current = series.get(key) ?? { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) current.counts[index]++;
+      });
+      current.sum += value;
+      current.count++;
+      series.set(key, current);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines.join("\n");
+    },
+  };
+
+  registry.push(metric);
+  return metric;
+}
+
+export function renderMetrics() {
+  return registry.map((metric) => metric.render()).join("\n\n") + "\n";
+}
+
+export const httpRequests = counter("http_requests_total", "HTTP requests by method, route and status code.");
+export const httpDuration = histogram("http_request_duration_seconds", "HTTP request latency by method and route.");
+
+export const llmRequests = counter("llm_requests_total", "Upstream LLM calls by provider, model and outcome (success, error or aborted).");
+export const llmDuration = histogram("llm_request_duration_seconds", "Upstream LLM call latency by provider and model.");
+export const llmTokens = counter("llm_tokens_total", "Tokens used by provider, model and type (input or output).");
+
+export const moderationBlocks = counter("moderation_blocks_total", "Inputs rejected by moderation, by category.");
+export const moderationRedactions = counter("moderation_redactions_total", "Output spans redacted by moderation, by category.");
+
+export const cacheLookups = counter("response_cache_requests_total", "Response cache lookups by status (HIT, MISS, COALESCED, BYPASS).");
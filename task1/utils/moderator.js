@@ -1,21 +1,251 @@
+import fs from "node:fs";
+import envConfig from "../configs/envConfig.js";
+import { normalizeText, collapseSpacedLetters } from "./textNormalizer.js";
+import { moderationBlocks, moderationRedactions } from "./metrics.js";
 
-// Basic list of banned words (expand later)
-const bannedWords = ["kill", "hack", "bomb", "attack", "drugs", "terror"];
+const SEVERITIES = ["low", "medium", "high"];
+const REDACTION = "[REDACTED]";
 
-export function isInputUnsafe(text) {
-  if (!text) return false;
-  const lower = text.toLowerCase();
-  return bannedWords.some((word) => lower.includes(word));
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Terms go through the same normalizer as the text they are matched against,
+// and multi-word terms tolerate any run of whitespace between words.
+function termPattern(terms, { boundaries = true } = {}) {
+  const alternatives = terms
+    .map((term) => normalizeText(term).text.trim().split(/\s+/).map(escapeRegex).join("\\s+"))
+    .sort((a, b) => b.length - a.length);
+  const edge = boundaries ? "\\b" : "";
+  return new RegExp(`${edge}(?:${alternatives.join("|")})${edge}`, "g");
+}
+
+function assertSeverity(severity, where) {
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`Invalid severity "${severity}" in ${where}. Use one of: ${SEVERITIES.join(", ")}`);
+  }
+}
+
+export function loadPolicy(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+function compilePolicy(policy) {
+  const { thresholds = {}, allowlist = [], categories = [] } = policy;
+  assertSeverity(thresholds.block ?? "medium", "thresholds.block");
+  assertSeverity(thresholds.redact ?? "low", "thresholds.redact");
+
+  const rules = categories.flatMap((category) =>
+    category.rules.map((rule) => {
+      const severity = rule.severity || category.severity;
+      assertSeverity(severity, `rule ${rule.id}`);
+      if (!rule.terms?.length) throw new Error(`Rule ${rule.id} has no terms`);
+
+      return {
+        id: rule.id,
+        category: category.id,
+        severity,
+        regex: termPattern(rule.terms),
+        looseRegex: termPattern(rule.terms, { boundaries: false }),
+        longestTerm: Math.max(...rule.terms.map((term) => term.length)),
+      };
+    })
+  );
+
+  return {
+    name: policy.name,
+    version: policy.version,
+    blockAt: SEVERITIES.indexOf(thresholds.block ?? "medium"),
+    redactAt: SEVERITIES.indexOf(thresholds.redact ?? "low"),
+    rules,
+    allow: allowlist.length ? termPattern(allowlist) : null,
+    longestAllowed: Math.max(0, ...allowlist.map((phrase) => phrase.length)),
+    longestTerm: Math.max(0, ...rules.map((rule) => rule.longestTerm)),
+  };
 }
 
+// Replaces every span with [REDACTED], merging spans that overlap.
+function redactSpans(text, violations) {
+  const spans = violations
+    .map((v) => ({ ...v.span }))
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, span) => {
+      const last = merged.at(-1);
+      if (last && span.start <= last.end) last.end = Math.max(last.end, span.end);
+      else merged.push(span);
+      return merged;
+    }, []);
+
+  let clean = "";
+  let cursor = 0;
+  for (const span of spans) {
+    clean += text.slice(cursor, span.start) + REDACTION;
+    cursor = span.end;
+  }
+  return clean + text.slice(cursor);
+}
+
+// Builds a moderator from a policy object. Matching runs on a normalized copy
+// of the text (Unicode, homoglyphs, leetspeak) and again with spaced-out
+// letters collapsed; every violation is reported against the original text:
+// { ruleId, category, severity, match, span: { start, end } }.
+// Optional hooks onBlock(violations) / onRedact(violations) are called
+// whenever an input is rejected or output text is redacted.
+export function createModerator(policy, { onBlock = () => {}, onRedact = () => {} } = {}) {
+  const compiled = compilePolicy(policy);
+
+  const scan = (text) => {
+    if (!text) return [];
+
+    const normalized = normalizeText(text);
+    const collapsed = collapseSpacedLetters(normalized);
+
+    const allowed = compiled.allow
+      ? [...normalized.text.matchAll(compiled.allow)].map((m) => ({
+          start: normalized.starts[m.index],
+          end: normalized.ends[m.index + m[0].length - 1],
+        }))
+      : [];
+
+    const violations = [];
+    const record = (rule, view, index, length) => {
+      const start = view.starts[index];
+      const end = view.ends[index + length - 1];
+
+      if (allowed.some((a) => a.start <= start && end <= a.end)) return;
+      if (violations.some((v) => v.ruleId === rule.id && v.span.start < end && start < v.span.end)) return;
 
- // Replaces banned words in AI output with [REDACTED].
-export function moderateOutput(text) {
-  if (!text) return text;
-  let clean = text;
-  bannedWords.forEach((word) => {
-    const regex = new RegExp(`\\b${word}\\b`, "gi");
-    clean = clean.replace(regex, "[REDACTED]");
-  });
-  return clean;
+      violations.push({
+        ruleId: rule.id,
+        category: rule.category,
+        severity: rule.severity,
+        match: text.slice(start, end),
+        span: { start, end },
+      });
+    };
+
+    for (const rule of compiled.rules) {
+      for (const view of [normalized, collapsed]) {
+        for (const match of view.text.matchAll(rule.regex)) {
+          record(rule, view, match.index, match[0].length);
+        }
+      }
+      // Inside a spaced-out run every letter was its own word, so a term may
+      // sit anywhere in it ("b o m b a" still contains "bomb").
+      for (const run of collapsed.runs) {
+        for (const match of collapsed.text.slice(run.start, run.end).matchAll(rule.looseRegex)) {
+          record(rule, collapsed, run.start + match.index, match[0].length);
+        }
+      }
+    }
+
+    return violations.sort((a, b) => a.span.start - b.span.start);
+  };
+
+  const atLeast = (threshold) => (v) => SEVERITIES.indexOf(v.severity) >= threshold;
+
+  const blockingViolations = (text) => scan(text).filter(atLeast(compiled.blockAt));
+
+  const checkInput = (text) => {
+    const violations = blockingViolations(text);
+    if (violations.length) onBlock(violations);
+    return { allowed: violations.length === 0, violations };
+  };
+
+  // Checks several named inputs at once and tags each violation with its field.
+  const checkFields = (fields) => {
+    const violations = Object.entries(fields).flatMap(([field, text]) =>
+      blockingViolations(text).map((v) => ({ field, ...v }))
+    );
+    if (violations.length) onBlock(violations);
+    return { allowed: violations.length === 0, violations };
+  };
+
+  const redactOutput = (text) => {
+    const violations = scan(text).filter(atLeast(compiled.redactAt));
+    if (violations.length) onRedact(violations);
+    return { text: violations.length ? redactSpans(text, violations) : text, violations };
+  };
+
+  // Moderates text that arrives in pieces (e.g. a streamed completion). The
+  // tail of the buffer is held back until it is long enough that no banned
+  // term or allowlisted phrase can still be completed by the next chunk, and
+  // the recently released text is kept as context for allowlist matching.
+  const createStream = () => {
+    const holdback = Math.max(2 * compiled.longestTerm, compiled.longestAllowed) + 1;
+    const contextLength = holdback + compiled.longestAllowed;
+    const redactions = [];
+    let context = "";
+    let pending = "";
+    let released = 0;
+
+    const release = (final) => {
+      const offset = context.length;
+      const violations = scan(context + pending)
+        .filter(atLeast(compiled.redactAt))
+        .filter((v) => v.span.end > offset)
+        .map((v) => ({ ...v, span: { start: Math.max(0, v.span.start - offset), end: v.span.end - offset } }));
+
+      let cut = pending.length;
+      if (!final) {
+        cut = Math.max(0, pending.length - holdback);
+        while (cut > 0 && !/\s/.test(pending[cut - 1])) cut--;
+        for (const v of [...violations].reverse()) {
+          if (v.span.start < cut && v.span.end > cut) cut = v.span.start;
+        }
+      }
+
+      const ready = pending.slice(0, cut);
+      const inReady = violations.filter((v) => v.span.end <= cut);
+      if (inReady.length) onRedact(inReady);
+      redactions.push(...inReady.map((v) => ({
+        ...v,
+        span: { start: v.span.start + released, end: v.span.end + released },
+      })));
+      released += cut;
+
+      context = (context + ready).slice(-contextLength);
+      pending = pending.slice(cut);
+      return inReady.length ? redactSpans(ready, inReady) : ready;
+    };
+
+    return {
+      push(chunk) {
+        pending += chunk;
+        return release(false);
+      },
+      flush() {
+        return release(true);
+      },
+      get redacted() {
+        return redactions.length > 0;
+      },
+      get violations() {
+        return redactions;
+      },
+    };
+  };
+
+  return {
+    policy: { name: compiled.name, version: compiled.version },
+    scan,
+    checkInput,
+    checkFields,
+    redactOutput,
+    createStream,
+  };
 }
+
+const countBy = (metric) => (violations) => {
+  violations.forEach((v) => metric.inc({ category: v.category }));
+};
+
+const moderator = createModerator(loadPolicy(envConfig.moderationPolicyPath), {
+  onBlock: countBy(moderationBlocks),
+  onRedact: countBy(moderationRedactions),
+});
+
+export const checkInput = moderator.checkInput;
+export const checkFields = moderator.checkFields;
+export const redactOutput = moderator.redactOutput;
+export const createStreamModerator = moderator.createStream;
+
+export default moderator;
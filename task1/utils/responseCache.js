@@ -0,0 +1,76 @@
+import crypto from "node:crypto";
+import envConfig from "../configs/envConfig.js";
+import cacheStore from "../stores/cacheStore.js";
+import { cacheLookups } from "./metrics.js";
+
+const inFlight = new Map();
+const stats = { hits: 0, misses: 0, coalesced: 0 };
+
+const normalize = (text) => (text ?? "").normalize("NFC").replace(/\s+/g, " ").trim();
+
+// Identical prompts differing only in whitespace or Unicode form share a key.
+export function cacheKey({ provider, model, systemPrompt, userPrompt, responseSchema, maxRetries }) {
+  const material = JSON.stringify([
+    provider,
+    model,
+    normalize(systemPrompt),
+    normalize(userPrompt),
+    responseSchema ?? null,
+    responseSchema ? maxRetries : null,
+  ]);
+  return crypto.createHash("sha256").update(material).digest("hex");
+}
+
+// Returns { value, status } for `key`, calling `compute` only on a miss.
+// status is "HIT", "MISS", "COALESCED" (waited on an identical in-flight
+// request) or "BYPASS" (caching disabled globally or for this request).
+// `shouldStore(value)` can veto caching a computed result.
+export async function withResponseCache(key, compute, options = {}) {
+  const result = await lookup(key, compute, options);
+  cacheLookups.inc({ status: result.status });
+  return result;
+}
+
+async function lookup(key, compute, { shouldStore = () => true, bypass = false }) {
+  if (bypass || !envConfig.responseCacheEnabled) {
+    return { value: await compute(), status: "BYPASS" };
+  }
+
+  const stored = await cacheStore.get(key);
+  if (stored !== undefined) {
+    stats.hits++;
+    return { value: stored, status: "HIT" };
+  }
+
+  if (inFlight.has(key)) {
+    stats.coalesced++;
+    return { value: await inFlight.get(key), status: "COALESCED" };
+  }
+
+  stats.misses++;
+  const pending = (async () => {
+    const value = await compute();
+    if (shouldStore(value)) {
+      await cacheStore.set(key, value, envConfig.responseCacheTtlSeconds * 1000);
+    }
+    return value;
+  })();
+
+  inFlight.set(key, pending);
+  try {
+    return { value: await pending, status: "MISS" };
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+// True when the caller got an answer without paying for an upstream call.
+export const servedFromCache = (status) => status === "HIT" || status === "COALESCED";
+
+export async function purgeResponseCache() {
+  return cacheStore.clear();
+}
+
+export async function responseCacheStats() {
+  return { ...stats, entries: await cacheStore.size(), inFlight: inFlight.size };
+}
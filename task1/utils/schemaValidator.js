@@ -0,0 +1,222 @@
+
+// A small JSON Schema validator covering the keywords this app uses:
+// type, enum, const, properties, required, additionalProperties, items,
+// minItems, maxItems, minLength, maxLength, pattern, minimum, maximum,
+// anyOf, oneOf and default. Unknown keywords are ignored.
+//
+// One non-standard keyword, `trim`, trims a string before it is checked;
+// a blank trimmed string then counts as missing.
+//
+// task2/schema-validator.js carries a copy of validateSchema; keep the two
+// in step.
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+};
+
+const joinPath = (path, key) => {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+};
+
+const prepare = (schema, value) => {
+  if (schema.trim && typeof value === "string") {
+    const trimmed = value.trim();
+    return trimmed === "" ? undefined : trimmed;
+  }
+  return value;
+};
+
+function check(schema, value, path, errors) {
+  const field = path || "(root)";
+  const fail = (message) => {
+    errors.push({ field, message });
+    return value;
+  };
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      return fail(`must be of type ${types.join(" or ")}`);
+    }
+  }
+
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    return fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.enum && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+    return fail(`must be one of: ${schema.enum.map((option) => JSON.stringify(option)).join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+      fail(`must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value = value.map((item, index) => check(schema.items, prepare(schema.items, item), joinPath(path, index), errors));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties ?? {};
+    const result = {};
+
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) continue;
+      if (schema.additionalProperties === false) {
+        errors.push({ field: joinPath(path, key), message: "is not allowed" });
+      } else if (typeof schema.additionalProperties === "object") {
+        result[key] = check(schema.additionalProperties, item, joinPath(path, key), errors);
+      } else {
+        result[key] = item;
+      }
+    }
+
+    for (const key of schema.required ?? []) {
+      if (!properties[key] && value[key] === undefined) {
+        errors.push({ field: joinPath(path, key), message: "is required" });
+      }
+    }
+
+    for (const [key, propertySchema] of Object.entries(properties)) {
+      let item = prepare(propertySchema, value[key]);
+      if (item === undefined && propertySchema.default !== undefined) {
+        item = structuredClone(propertySchema.default);
+      }
+      if (item === undefined) {
+        if (schema.required?.includes(key)) {
+          errors.push({ field: joinPath(path, key), message: "is required" });
+        }
+        continue;
+      }
+      result[key] = check(propertySchema, item, joinPath(path, key), errors);
+    }
+
+    value = result;
+  }
+
+  for (const keyword of ["anyOf", "oneOf"]) {
+    if (!schema[keyword]) continue;
+    const passing = schema[keyword].filter((option) => validateSchema(option, value, path).errors.length === 0);
+    if (keyword === "anyOf" && passing.length === 0) fail("must match at least one allowed schema");
+    if (keyword === "oneOf" && passing.length !== 1) fail("must match exactly one allowed schema");
+  }
+
+  return value;
+}
+
+// Returns { value, errors }: value has strings trimmed and defaults filled in,
+// errors is a list of { field, message } (empty when the value is valid).
+export function validateSchema(schema, value, path = "") {
+  const errors = [];
+  const result = check(schema, prepare(schema, value), path, errors);
+  return { value: result, errors };
+}
+
+const TYPES = ["string", "number", "integer", "boolean", "object", "array", "null"];
+const ANNOTATIONS = ["title", "description", "examples", "$schema", "$comment"];
+
+const isSchema = (value) => typeOf(value) === "object";
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+// How each supported keyword's value must look. Keywords missing from here
+// (and from ANNOTATIONS) are rejected, since validateSchema would ignore them.
+const keywordChecks = {
+  type: (value) =>
+    [].concat(value).length > 0 && [].concat(value).every((type) => TYPES.includes(type))
+      ? null
+      : `must be one of ${TYPES.join(", ")} or an array of them`,
+  enum: (value) => (Array.isArray(value) && value.length ? null : "must be a non-empty array"),
+  const: () => null,
+  default: () => null,
+  trim: (value) => (typeof value === "boolean" ? null : "must be a boolean"),
+  properties: (value) => (isSchema(value) ? null : "must be an object of schemas"),
+  required: (value) =>
+    Array.isArray(value) && value.every((key) => typeof key === "string") ? null : "must be an array of strings",
+  additionalProperties: (value) =>
+    typeof value === "boolean" || isSchema(value) ? null : "must be a boolean or a schema",
+  items: (value) => (isSchema(value) ? null : "must be a schema"),
+  minItems: (value) => (isCount(value) ? null : "must be a non-negative integer"),
+  maxItems: (value) => (isCount(value) ? null : "must be a non-negative integer"),
+  minLength: (value) => (isCount(value) ? null : "must be a non-negative integer"),
+  maxLength: (value) => (isCount(value) ? null : "must be a non-negative integer"),
+  minimum: (value) => (typeof value === "number" ? null : "must be a number"),
+  maximum: (value) => (typeof value === "number" ? null : "must be a number"),
+  pattern: (value) => {
+    if (typeof value !== "string") return "must be a string";
+    try {
+      new RegExp(value, "u");
+      return null;
+    } catch (error) {
+      return `is not a valid regular expression (${error.message})`;
+    }
+  },
+  anyOf: (value) => (Array.isArray(value) && value.length && value.every(isSchema) ? null : "must be a non-empty array of schemas"),
+  oneOf: (value) => (Array.isArray(value) && value.length && value.every(isSchema) ? null : "must be a non-empty array of schemas"),
+};
+
+// Checks that a client-supplied schema only uses what validateSchema
+// supports, with well-formed values (every pattern compiles). Returns a list
+// of { field, message }, empty when the schema is usable.
+export function checkSchema(schema, path = "") {
+  const field = (key) => joinPath(path, key);
+  if (!isSchema(schema)) return [{ field: path || "(root)", message: "must be a schema object" }];
+
+  const errors = [];
+  for (const [keyword, value] of Object.entries(schema)) {
+    if (ANNOTATIONS.includes(keyword)) continue;
+
+    const check = keywordChecks[keyword];
+    if (!check) {
+      errors.push({ field: field(keyword), message: "is not a supported schema keyword" });
+      continue;
+    }
+
+    const problem = check(value);
+    if (problem) {
+      errors.push({ field: field(keyword), message: problem });
+      continue;
+    }
+
+    if (keyword === "properties") {
+      for (const [key, propertySchema] of Object.entries(value)) {
+        errors.push(...checkSchema(propertySchema, joinPath(field("properties"), key)));
+      }
+    } else if ((keyword === "items" || keyword === "additionalProperties") && isSchema(value)) {
+      errors.push(...checkSchema(value, field(keyword)));
+    } else if (keyword === "anyOf" || keyword === "oneOf") {
+      value.forEach((option, index) => errors.push(...checkSchema(option, joinPath(field(keyword), index))));
+    }
+  }
+  return errors;
+}
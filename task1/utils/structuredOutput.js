@@ -0,0 +1,84 @@
+import { validateSchema } from "./schemaValidator.js";
+import { redactOutput } from "./moderator.js";
+
+// Models sometimes wrap JSON in a Markdown fence even when asked not to.
+export function parseJsonOutput(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = (fenced ? fenced[1] : text).trim();
+
+  try {
+    return { value: JSON.parse(candidate), errors: [] };
+  } catch (error) {
+    return { value: undefined, errors: [{ field: "(root)", message: `is not valid JSON (${error.message})` }] };
+  }
+}
+
+const repairPrompt = (errors) =>
+  [
+    "Your previous answer did not match the required JSON Schema:",
+    ...errors.map((error) => `- ${error.field}: ${error.message}`),
+    "Reply again with only the corrected JSON document.",
+  ].join("\n");
+
+const addUsage = (total, usage) => ({
+  inputTokens: total.inputTokens + (usage?.inputTokens ?? 0),
+  outputTokens: total.outputTokens + (usage?.outputTokens ?? 0),
+  totalTokens: total.totalTokens + (usage?.totalTokens ?? 0),
+});
+
+// Asks the provider for JSON matching `schema`, validating each answer and
+// re-asking with the validation errors up to `maxRetries` more times.
+// Returns { data, valid, attempts, usage } where attempts lists the errors
+// of every try (the last entry has none when the output was valid).
+export async function generateStructured(llm, request, schema, maxRetries) {
+  let contents = request.contents;
+  let usage = { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+  const attempts = [];
+
+  for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+    const completion = await llm.provider.generate({ ...request, contents, responseSchema: schema });
+    usage = addUsage(usage, completion.usage);
+
+    const parsed = parseJsonOutput(completion.text);
+    const { value, errors } = parsed.errors.length ? parsed : validateSchema(schema, parsed.value);
+    attempts.push({ attempt, errors });
+
+    if (!errors.length) {
+      return { data: value, valid: true, attempts, usage };
+    }
+
+    contents = [
+      ...contents,
+      { role: "model", parts: [{ text: completion.text }] },
+      { role: "user", parts: [{ text: repairPrompt(errors) }] },
+    ];
+  }
+
+  return { data: null, valid: false, attempts, usage };
+}
+
+// Runs output moderation over every string inside a JSON value rather than
+// over the serialized document, so keys and structure are never redacted.
+// Each violation is tagged with the path of the string it was found in.
+export function moderateJson(value, path = "") {
+  if (typeof value === "string") {
+    const { text, violations } = redactOutput(value);
+    return { value: text, violations: violations.map((v) => ({ path: path || "(root)", ...v })) };
+  }
+
+  if (Array.isArray(value) || (value && typeof value === "object")) {
+    const violations = [];
+    const entries = Object.entries(value).map(([key, item]) => {
+      const childPath = Array.isArray(value) ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+      const moderated = moderateJson(item, childPath);
+      violations.push(...moderated.violations);
+      return [key, moderated.value];
+    });
+    return {
+      value: Array.isArray(value) ? entries.map(([, item]) => item) : Object.fromEntries(entries),
+      violations,
+    };
+  }
+
+  return { value, violations: [] };
+}
@@ -0,0 +1,88 @@
+import envConfig from "../configs/envConfig.js";
+import templateStore from "../stores/templateStore.js";
+import { notFound, validationError } from "./errors.js";
+
+// Used only if the configured default template has been deleted.
+const DEFAULT_SYSTEM_PROMPT = "You are a helpful and polite assistant.";
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+export function extractVariables(text) {
+  return [...new Set([...text.matchAll(PLACEHOLDER)].map((match) => match[1]))];
+}
+
+// Checks a template definition before it is stored: every placeholder must be
+// declared and every declared variable used. Returns { field, message } details.
+export function checkTemplateDefinition({ template, variables }) {
+  const declared = variables.map((variable) => variable.name);
+  const used = extractVariables(template);
+
+  return [
+    ...used
+      .filter((name) => !declared.includes(name))
+      .map((name) => ({ field: "template", message: `uses undeclared variable "${name}"` })),
+    ...declared
+      .filter((name) => !used.includes(name))
+      .map((name) => ({ field: "variables", message: `"${name}" is declared but never used` })),
+  ];
+}
+
+// Fills {{variable}} placeholders. Throws a validation error naming every
+// required variable that is missing and every value the template does not use.
+export function renderTemplate(template, values = {}) {
+  const declared = new Map(template.variables.map((variable) => [variable.name, variable]));
+  const details = [];
+
+  for (const name of Object.keys(values)) {
+    if (!declared.has(name)) {
+      details.push({ field: `variables.${name}`, message: `is not a variable of template "${template.id}"` });
+    }
+  }
+
+  const resolved = {};
+  for (const variable of template.variables) {
+    const value = values[variable.name] ?? variable.default;
+    if (value === undefined && variable.required !== false) {
+      details.push({ field: `variables.${variable.name}`, message: "is required" });
+    }
+    resolved[variable.name] = value === undefined ? "" : String(value);
+  }
+
+  if (details.length) {
+    throw validationError(details, `Variables for template "${template.id}" are invalid`);
+  }
+
+  return template.template.replace(PLACEHOLDER, (_, name) => resolved[name]);
+}
+
+// Works out the system prompt of a request: a raw systemPrompt, a named
+// template (templateId + optional templateVersion + variables) or, when
+// neither is sent, the configured default template.
+export async function resolveSystemPrompt({ systemPrompt, templateId, templateVersion, variables }) {
+  if (systemPrompt !== undefined && templateId !== undefined) {
+    throw validationError([{ field: "templateId", message: "cannot be combined with systemPrompt" }]);
+  }
+  if (systemPrompt !== undefined) {
+    return { systemPrompt, template: null };
+  }
+
+  if (templateId === undefined) {
+    const fallback = await templateStore.get(envConfig.defaultTemplateId);
+    if (!fallback) return { systemPrompt: DEFAULT_SYSTEM_PROMPT, template: null };
+    return { systemPrompt: renderTemplate(fallback), template: { id: fallback.id, version: fallback.version } };
+  }
+
+  const template = await templateStore.get(templateId, templateVersion);
+  if (!template) {
+    throw notFound(
+      templateVersion === undefined
+        ? `Template "${templateId}" not found`
+        : `Template "${templateId}" has no version ${templateVersion}`
+    );
+  }
+
+  return {
+    systemPrompt: renderTemplate(template, variables),
+    template: { id: template.id, version: template.version },
+  };
+}
@@ -0,0 +1,76 @@
+
+// Look-alike letters from other scripts that are commonly used to dodge filters.
+const HOMOGLYPHS = {
+  "а": "a", "в": "b", "с": "c", "е": "e", "н": "h", "і": "i", "ј": "j", "к": "k",
+  "м": "m", "о": "o", "р": "p", "ѕ": "s", "т": "t", "у": "y", "х": "x",
+  "α": "a", "β": "b", "ε": "e", "η": "n", "ι": "i", "κ": "k", "ν": "v", "ο": "o",
+  "ρ": "p", "τ": "t", "υ": "u", "χ": "x",
+};
+
+const LEETSPEAK = {
+  "0": "o", "1": "i", "3": "e", "4": "a", "5": "s", "7": "t", "8": "b",
+  "@": "a", "$": "s", "!": "i", "|": "l",
+};
+
+// A run of three or more single letters split by one separator: "b o m b", "b.o.m.b".
+const SPACED_LETTERS = /(?<![a-z])(?:[a-z][\s.\-_*]){2,}[a-z](?![a-z])/g;
+
+// Normalizes text for matching while remembering where every normalized
+// character came from, so matches can be reported as spans of the original.
+// Returns { text, starts, ends } where starts[i]/ends[i] bound the original
+// characters behind text[i].
+export function normalizeText(input) {
+  const chars = [];
+
+  let offset = 0;
+  for (const symbol of input) {
+    const base = symbol.normalize("NFKD").replace(/\p{M}/gu, "").toLowerCase();
+    for (const ch of base) {
+      chars.push({ ch: HOMOGLYPHS[ch] || ch, start: offset, end: offset + symbol.length });
+    }
+    offset += symbol.length;
+  }
+
+  // Leetspeak only counts inside a word: digits next to a letter, symbols
+  // between two letters. "h4ck" becomes "hack" but "$150" and "kill!" stay put.
+  const isLetter = (c) => c !== undefined && /[a-z]/.test(c.ch);
+  chars.forEach((c, i) => {
+    const replacement = LEETSPEAK[c.ch];
+    if (!replacement) return;
+    const before = isLetter(chars[i - 1]);
+    const after = isLetter(chars[i + 1]);
+    if (/\d/.test(c.ch) ? before || after : before && after) c.ch = replacement;
+  });
+
+  return {
+    text: chars.map((c) => c.ch).join(""),
+    starts: chars.map((c) => c.start),
+    ends: chars.map((c) => c.end),
+  };
+}
+
+// Removes the separators inside spaced-out words ("b o m b" -> "bomb") of an
+// already normalized text, keeping the mapping back to the original. Word
+// boundaries inside a run are lost ("b o m b a" -> "bomba"), so the collapsed
+// runs are returned as { start, end } ranges for the caller to search.
+export function collapseSpacedLetters(normalized) {
+  const keep = new Array(normalized.text.length).fill(true);
+  const runs = [];
+
+  for (const match of normalized.text.matchAll(SPACED_LETTERS)) {
+    for (let i = match.index + 1; i < match.index + match[0].length; i += 2) {
+      keep[i] = false;
+    }
+    runs.push({ from: match.index, to: match.index + match[0].length });
+  }
+
+  const indexes = [...keep.keys()].filter((i) => keep[i]);
+  const collapsedIndex = (i) => indexes.indexOf(i);
+
+  return {
+    text: indexes.map((i) => normalized.text[i]).join(""),
+    starts: indexes.map((i) => normalized.starts[i]),
+    ends: indexes.map((i) => normalized.ends[i]),
+    runs: runs.map(({ from, to }) => ({ start: collapsedIndex(from), end: collapsedIndex(to - 1) + 1 })),
+  };
+}
@@ -0,0 +1,86 @@
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+
+// Reads customer messages from a CSV or JSONL export. Every record comes
+// back as { index, id, message, record } where `record` is the full row.
+
+// RFC 4180 CSV: quoted fields may contain commas, doubled quotes and newlines.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === "") quoted = true;
+    else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += char;
+  }
+
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+  const columns = header.map((name) => name.replace(/^﻿/, "").trim());
+  return records.map((cells) => Object.fromEntries(columns.map((name, index) => [name, cells[index] ?? ""])));
+}
+
+export function parseJsonl(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line, number) => ({ line: line.trim(), number: number + 1 }))
+    .filter(({ line }) => line !== "")
+    .map(({ line, number }) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Line ${number} is not valid JSON: ${error.message}`);
+      }
+    });
+}
+
+/**
+ * @param {string} filePath A .csv, .jsonl or .ndjson file.
+ * @param {{ field?: string, idField?: string }} [options] Which columns hold
+ *   the message text and the record id.
+ */
+export async function readMessages(filePath, { field = "message", idField = "id" } = {}) {
+  const text = await readFile(filePath, "utf8");
+  const extension = path.extname(filePath).toLowerCase();
+
+  let records;
+  if (extension === ".csv") records = parseCsv(text);
+  else if (extension === ".jsonl" || extension === ".ndjson") records = parseJsonl(text);
+  else throw new Error(`Unsupported input file type "${extension}" (expected .csv or .jsonl)`);
+
+  return records.map((record, index) => ({
+    index,
+    id: record[idField] ?? null,
+    message: typeof record[field] === "string" ? record[field].trim() : "",
+    record,
+  }));
+}
@@ -0,0 +1,336 @@
+// A small engine for prompt chains declared as data.
+//
+// A pipeline is { name, steps: [...] } and every step looks like:
+//
+//   {
+//     name: "bestCategory",
+//     template: "From the suggested categories:\n{{candidates}}\n...",
+//     inputs: {
+//       analysedReport: "steps.intent",                       // output of an earlier step
+//       customerQuery: "input.customerQuery",                 // field of the pipeline input
+//       candidates: { from: "steps.categoryMapping", format: (list) => ... },
+//     },
+//     output: "json",                                        // or "text" (default)
+//     schema: { type: "object", required: ["chosenCategory"], ... },
+//   }
+//
+// A step with `run` instead of `template` is computed locally: it receives
+// its inputs, resolved but not formatted, and never calls the model.
+//
+// Steps depend on the steps their "steps.*" bindings read plus any listed in
+// `after`. Each step starts as soon as everything it depends on has finished,
+// so independent steps run in parallel; their position in the list does not
+// matter. A step with a `when` condition that returns false is skipped and
+// its output is whatever `otherwise` returns. The result is an object keyed
+// by step name holding each step's parsed output.
+//
+// JSON replies are extracted leniently and checked against the step's schema.
+// When that fails the step is asked again with a repair prompt listing the
+// problems, up to `maxRepairs` times, before a StepOutputError is thrown.
+
+import { performance } from "node:perf_hooks";
+import { ChainError, LlmError, PipelineDefinitionError, StepOutputError } from "./chain-errors.js";
+import { extractJson } from "./json-output.js";
+import { validateSchema } from "./schema-validator.js";
+
+/**
+ * @typedef {string | { from: string, format?: (value: any, context: Object) => string }} Binding
+ *
+ * @typedef {Object} StepDefinition
+ * @property {string} name
+ * @property {string} [template] Prompt text with {{placeholder}} slots.
+ * @property {(inputs: Object, context: Object) => any} [run] Local step body.
+ * @property {Object<string, Binding>} [inputs] Placeholder name -> source path.
+ * @property {"text" | "json"} [output] How to read the model's reply.
+ * @property {Object | ((input: Object) => Object)} [schema] JSON Schema the
+ *   parsed reply must match, or a function building it from the run input.
+ * @property {number} [maxRepairs] Overrides the pipeline-wide repair budget.
+ * @property {string} [model] Model to ask for; passed to the llm with the step.
+ * @property {string[]} [after] Extra steps that must finish first, e.g. the
+ *   ones a `when` condition reads.
+ * @property {(context: Object) => boolean} [when] Run the step only if true.
+ * @property {(inputs: Object, context: Object) => any} [otherwise] Output of
+ *   a skipped step (null when absent).
+ *
+ * @typedef {Object} PipelineDefinition
+ * @property {string} name
+ * @property {StepDefinition[]} steps
+ *
+ * @typedef {{ text: string, usage?: Object, model?: string, config?: Object }} LlmReply
+ * @typedef {(prompt: string, step: StepDefinition) => Promise<string | LlmReply>} Llm
+ */
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+const bindingPath = (binding) => (typeof binding === "string" ? binding : binding.from);
+
+// Reads "input.a.b" or "steps.name.field" out of the run context.
+export function resolvePath(path, context) {
+  return path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+export function stepDependencies(step) {
+  return [
+    ...new Set([
+      ...Object.values(step.inputs ?? {})
+        .map(bindingPath)
+        .filter((path) => path.startsWith("steps."))
+        .map((path) => path.split(".")[1]),
+      ...(step.after ?? []),
+    ]),
+  ];
+}
+
+// Topologically sorts the steps, keeping declaration order among steps that
+// do not depend on each other. Throws on unknown steps and on cycles.
+export function orderSteps(steps) {
+  const byName = new Map(steps.map((step) => [step.name, step]));
+  const ordered = [];
+  const state = new Map();
+
+  const visit = (step, trail) => {
+    if (state.get(step.name) === "done") return;
+    if (state.get(step.name) === "visiting") {
+      throw new PipelineDefinitionError(`Pipeline has a cycle: ${[...trail, step.name].join(" -> ")}`);
+    }
+
+    state.set(step.name, "visiting");
+    for (const dependency of stepDependencies(step)) {
+      if (!byName.has(dependency)) {
+        throw new PipelineDefinitionError(`Step "${step.name}" depends on unknown step "${dependency}"`, {
+          step: step.name,
+        });
+      }
+      visit(byName.get(dependency), [...trail, step.name]);
+    }
+    state.set(step.name, "done");
+    ordered.push(step);
+  };
+
+  steps.forEach((step) => visit(step, []));
+  return ordered;
+}
+
+const formatValue = (value) => {
+  if (value === undefined || value === null) return "";
+  return typeof value === "string" ? value : JSON.stringify(value, null, 2);
+};
+
+export function renderPrompt(step, context) {
+  const values = {};
+  for (const [name, binding] of Object.entries(step.inputs ?? {})) {
+    const value = resolvePath(bindingPath(binding), context);
+    values[name] = typeof binding === "object" && binding.format ? binding.format(value, context) : formatValue(value);
+  }
+
+  return step.template.replace(PLACEHOLDER, (match, name) => {
+    if (!(name in values)) {
+      throw new PipelineDefinitionError(`Step "${step.name}" has no input bound to {{${name}}}`, { step: step.name });
+    }
+    return values[name];
+  });
+}
+
+// Calls the model and normalizes the reply to { text, usage, model, config }.
+const callLlm = async (llm, prompt, step) => {
+  let reply;
+  try {
+    reply = await llm(prompt, step);
+  } catch (error) {
+    if (error instanceof ChainError) {
+      error.step ??= step.name;
+      throw error;
+    }
+    throw new LlmError(`Step "${step.name}": model call failed`, { step: step.name, cause: error });
+  }
+
+  if (typeof reply === "string") reply = { text: reply };
+  if (typeof reply?.text !== "string" || reply.text.trim() === "") {
+    throw new LlmError(`Step "${step.name}": model returned no text`, { step: step.name });
+  }
+  return reply;
+};
+
+const schemaFor = (step, input) => (typeof step.schema === "function" ? step.schema(input) : step.schema);
+
+// Returns { value } or { errors } for one raw reply.
+export function parseStepOutput(schema, step, text) {
+  if (step.output !== "json") return { value: text };
+
+  const extracted = extractJson(text);
+  if (extracted.error) return { errors: [extracted.error] };
+  if (!schema) return { value: extracted.value };
+
+  const { value, errors } = validateSchema(schema, extracted.value);
+  if (errors.length) return { errors: errors.map(({ field, message }) => `${field} ${message}`) };
+  return { value };
+}
+
+export function repairPrompt(schema, prompt, text, errors) {
+  const shape = schema ? ` matching this JSON Schema:\n${JSON.stringify(schema, null, 2)}\n` : ". ";
+  return `${prompt}
+
+Your previous reply could not be used:
+\`\`\`
+${text}
+\`\`\`
+Problems:
+${errors.map((error) => `- ${error}`).join("\n")}
+
+Reply again with only valid JSON${shape}Do not add any other text.`;
+}
+
+const resolveInputs = (step, context) =>
+  Object.fromEntries(
+    Object.entries(step.inputs ?? {}).map(([name, binding]) => [name, resolvePath(bindingPath(binding), context)])
+  );
+
+// Runs one step, repairing its output when needed. `record` is the step's
+// trace record, if the run is traced.
+async function runStep(step, context, { llm, maxRepairs }, record) {
+  if (step.run) return step.run(resolveInputs(step, context), context);
+
+  const prompt = renderPrompt(step, context);
+  const schema = schemaFor(step, context.input);
+  const attempts = [];
+  const budget = step.maxRepairs ?? maxRepairs;
+
+  let currentPrompt = prompt;
+  while (attempts.length <= budget) {
+    const started = performance.now();
+    const reply = await callLlm(llm, currentPrompt, step);
+    const { value, errors } = parseStepOutput(schema, step, reply.text);
+
+    record?.attempt({
+      prompt: currentPrompt,
+      raw: reply.text,
+      errors: errors ?? null,
+      usage: reply.usage,
+      model: reply.model,
+      config: reply.config,
+      latencyMs: Math.round(performance.now() - started),
+    });
+    if (!errors) return value;
+
+    attempts.push({ output: reply.text, errors });
+    currentPrompt = repairPrompt(schema, prompt, reply.text, errors);
+  }
+
+  throw new StepOutputError(step.name, attempts);
+}
+
+// Runs a step, or skips it when its condition says so. Returns its output.
+async function executeStep(step, context, options, record) {
+  if (step.when && !step.when(context)) {
+    const output = step.otherwise ? step.otherwise(resolveInputs(step, context), context) : null;
+    record?.skip(output);
+    return { output, status: "skipped" };
+  }
+
+  try {
+    const output = await runStep(step, context, options, record);
+    record?.succeed(output);
+    return { output, status: "ok" };
+  } catch (error) {
+    record?.fail(error);
+    throw error;
+  }
+}
+
+// Pairs of model calls that were in flight at the same time, and for how
+// long. `spans` holds the unrounded { start, end } of every step.
+function modelCallOverlaps(timings, spans) {
+  const calls = Object.keys(timings).filter((name) => timings[name].kind === "llm" && ["ok", "error"].includes(timings[name].status));
+  const overlaps = [];
+  calls.forEach((a, index) => {
+    for (const b of calls.slice(index + 1)) {
+      const ms = Math.min(spans.get(a).end, spans.get(b).end) - Math.max(spans.get(a).start, spans.get(b).start);
+      if (ms > 0) overlaps.push({ steps: [a, b], ms: Math.round(ms) });
+    }
+  });
+  return overlaps;
+}
+
+/**
+ * Runs every step of the pipeline and returns their outputs keyed by step name.
+ *
+ * @param {PipelineDefinition} pipeline
+ * @param {Object} input Values available to bindings as "input.*".
+ * @param {Object} options
+ * @param {Llm} options.llm
+ * @param {number} [options.maxRepairs]
+ * @param {number} [options.maxParallel] Steps allowed in flight at once.
+ * @param {import("./tracing.js").Trace} [options.trace] Filled in step by step.
+ * @param {Object<string, any>} [options.reuse] Outputs to use as-is instead of
+ *   running those steps (replaying a trace from a later step).
+ * @param {Object} [options.report] Filled in with timings: { durationMs,
+ *   sequentialMs, steps: { [name]: { kind, status, startMs, latencyMs } },
+ *   overlaps: [{ steps: [a, b], ms }] }, where startMs is relative to the
+ *   start of the run, sequentialMs is what the run would have taken one step
+ *   at a time and overlaps lists the model calls that were in flight together.
+ * @returns {Promise<Object<string, any>>}
+ * @throws {ChainError}
+ */
+export async function runPipeline(pipeline, input, options) {
+  const { llm, maxRepairs = 2, maxParallel = Infinity, trace, reuse = {}, report = {} } = options;
+  const context = { input, steps: {} };
+  const pending = orderSteps(pipeline.steps);
+  const finished = new Set();
+  const running = new Map();
+  const started = performance.now();
+  let failure = null;
+
+  report.steps = {};
+  const spans = new Map();
+
+  const launch = (step) => {
+    const record = trace?.startStep(step, step.run ? "local" : "llm");
+    const startMs = performance.now();
+    const timing = { kind: step.run ? "local" : "llm", status: "running", startMs: Math.round(startMs - started), latencyMs: null };
+    report.steps[step.name] = timing;
+
+    const execution = Object.hasOwn(reuse, step.name)
+      ? Promise.resolve({ output: reuse[step.name], status: "reused" }).then((result) => {
+          record?.reuse(result.output);
+          return result;
+        })
+      : executeStep(step, context, { llm, maxRepairs }, record);
+
+    const task = execution
+      .then(({ output, status }) => {
+        context.steps[step.name] = output;
+        timing.status = status;
+      })
+      .catch((error) => {
+        timing.status = "error";
+        failure ??= error;
+      })
+      .finally(() => {
+        const endMs = performance.now();
+        spans.set(step.name, { start: startMs, end: endMs });
+        timing.latencyMs = Math.round(endMs - startMs);
+        finished.add(step.name);
+        running.delete(step.name);
+      });
+    running.set(step.name, task);
+  };
+
+  while (pending.length || running.size) {
+    // After a failure nothing new starts; steps already running may finish.
+    while (!failure && running.size < maxParallel) {
+      const index = pending.findIndex((step) => stepDependencies(step).every((name) => finished.has(name)));
+      if (index === -1) break;
+      launch(pending.splice(index, 1)[0]);
+    }
+
+    if (!running.size) break;
+    await Promise.race(running.values());
+  }
+
+  report.durationMs = Math.round(performance.now() - started);
+  report.sequentialMs = Object.values(report.steps).reduce((sum, timing) => sum + (timing.latencyMs ?? 0), 0);
+  report.overlaps = modelCallOverlaps(report.steps, spans);
+
+  if (failure) throw failure;
+  return context.steps;
+}
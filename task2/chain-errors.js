@@ -0,0 +1,43 @@
+// Every failure raised while running a chain is a ChainError, so callers
+// can tell chain problems from their own bugs and always know which step
+// was running (`step` is null for problems with the pipeline itself).
+
+export class ChainError extends Error {
+  constructor(message, { step = null, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = "ChainError";
+    this.step = step;
+  }
+}
+
+// The pipeline definition is unusable: unknown step, cycle, unbound placeholder.
+export class PipelineDefinitionError extends ChainError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "PipelineDefinitionError";
+  }
+}
+
+// The model call itself failed or came back without any text.
+export class LlmError extends ChainError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "LlmError";
+  }
+}
+
+// The model answered, but even after the repair attempts its reply could not
+// be parsed or did not match the step's schema. `output` is the last raw
+// reply, `errors` what was wrong with it and `attempts` every try in order.
+export class StepOutputError extends ChainError {
+  constructor(step, attempts) {
+    const last = attempts.at(-1);
+    super(`Step "${step}" returned unusable output after ${attempts.length} attempts: ${last.errors.join("; ")}`, {
+      step,
+    });
+    this.name = "StepOutputError";
+    this.output = last.output;
+    this.errors = last.errors;
+    this.attempts = attempts;
+  }
+}
@@ -0,0 +1,11 @@
+// Runs `worker` over `items` with at most `limit` calls in flight.
+export async function mapWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+}
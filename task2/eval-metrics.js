@@ -0,0 +1,165 @@
+// Pure metric functions for the evaluation harness. Every function takes the
+// per-item outcomes produced by evaluate.js:
+//
+//   { expected: "Card Services > Lost Card", predicted: "Card Services",
+//     score: 0.82, fields: { tp: 1, fp: 0, fn: 1 } }
+//
+// `predicted` is null when the chain failed on that item.
+
+export const ERROR_LABEL = "(error)";
+const CALIBRATION_BINS = 10;
+
+const ratio = (numerator, denominator) => (denominator === 0 ? null : numerator / denominator);
+const f1 = (precision, recall) =>
+  precision === null || recall === null || precision + recall === 0 ? 0 : (2 * precision * recall) / (precision + recall);
+const round = (value) => (value === null ? null : Math.round(value * 10000) / 10000);
+
+const topLevel = (categoryPath) => categoryPath?.split(" > ")[0] ?? null;
+
+export function accuracy(items) {
+  return round(ratio(items.filter((item) => item.predicted === item.expected).length, items.length));
+}
+
+// Counts a prediction of the right top-level category as correct, so a
+// "Card Services" answer for "Card Services > Lost Card" still scores.
+export function topLevelAccuracy(items) {
+  const hits = items.filter((item) => item.predicted && topLevel(item.predicted) === topLevel(item.expected));
+  return round(ratio(hits.length, items.length));
+}
+
+export function perCategory(items) {
+  const labels = [...new Set(items.flatMap((item) => [item.expected, item.predicted]).filter(Boolean))].sort();
+
+  const rows = labels.map((label) => {
+    const tp = items.filter((item) => item.expected === label && item.predicted === label).length;
+    const fp = items.filter((item) => item.expected !== label && item.predicted === label).length;
+    const fn = items.filter((item) => item.expected === label && item.predicted !== label).length;
+    const precision = ratio(tp, tp + fp);
+    const recall = ratio(tp, tp + fn);
+    return {
+      category: label,
+      support: tp + fn,
+      precision: round(precision),
+      recall: round(recall),
+      f1: round(f1(precision, recall)),
+    };
+  });
+
+  // Macro average over the categories that actually occur in the labels.
+  const labelled = rows.filter((row) => row.support > 0);
+  const macroF1 = round(ratio(labelled.reduce((sum, row) => sum + row.f1, 0), labelled.length));
+  return { rows, macroF1 };
+}
+
+// matrix[expected][predicted] = count. Failed runs are predicted as "(error)".
+export function confusionMatrix(items) {
+  const expected = [...new Set(items.map((item) => item.expected))].sort();
+  const predicted = [...new Set(items.map((item) => item.predicted ?? ERROR_LABEL))].sort();
+  const matrix = Object.fromEntries(expected.map((row) => [row, Object.fromEntries(predicted.map((col) => [col, 0]))]));
+
+  for (const item of items) matrix[item.expected][item.predicted ?? ERROR_LABEL]++;
+  return { expected, predicted, matrix };
+}
+
+// Buckets the chosen category's `score` into ten bins and compares the mean
+// confidence of each bin to its accuracy. ECE is the support-weighted mean
+// gap; the Brier score treats `score` as the probability of being right.
+export function calibration(items) {
+  const scored = items.filter((item) => typeof item.score === "number");
+  const bins = Array.from({ length: CALIBRATION_BINS }, (_, index) => ({
+    from: index / CALIBRATION_BINS,
+    to: (index + 1) / CALIBRATION_BINS,
+    count: 0,
+    confidence: 0,
+    accuracy: 0,
+  }));
+
+  for (const item of scored) {
+    const bin = bins[Math.min(Math.floor(item.score * CALIBRATION_BINS), CALIBRATION_BINS - 1)];
+    bin.count++;
+    bin.confidence += item.score;
+    bin.accuracy += item.predicted === item.expected ? 1 : 0;
+  }
+
+  let ece = 0;
+  for (const bin of bins) {
+    if (!bin.count) continue;
+    bin.confidence /= bin.count;
+    bin.accuracy /= bin.count;
+    ece += (bin.count / scored.length) * Math.abs(bin.confidence - bin.accuracy);
+  }
+
+  const brier = ratio(
+    scored.reduce((sum, item) => sum + (item.score - (item.predicted === item.expected ? 1 : 0)) ** 2, 0),
+    scored.length
+  );
+
+  return {
+    scored: scored.length,
+    ece: scored.length ? round(ece) : null,
+    brier: round(brier),
+    bins: bins
+      .filter((bin) => bin.count)
+      .map((bin) => ({ ...bin, confidence: round(bin.confidence), accuracy: round(bin.accuracy) })),
+  };
+}
+
+const normalizeValue = (value) =>
+  String(value ?? "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}.]+/gu, " ")
+    .trim();
+
+// A predicted value matches when, after normalizing case and punctuation,
+// either value contains the other ("$150" vs "150", "last Friday" vs "Friday").
+export function valuesMatch(expected, predicted) {
+  const a = normalizeValue(expected);
+  const b = normalizeValue(predicted);
+  return a !== "" && b !== "" && (a === b || a.includes(b) || b.includes(a));
+}
+
+/**
+ * Scores one item's extracted details against its labelled fields. Only
+ * `scoredKeys` count (the labelled keys plus the category's required keys),
+ * so extra details the model volunteers do not hurt precision.
+ */
+export function scoreFields(expectedFields, extractedDetails, scoredKeys) {
+  const counts = { tp: 0, fp: 0, fn: 0 };
+
+  for (const key of scoredKeys) {
+    const hasExpected = expectedFields[key] !== undefined;
+    const hasPredicted = extractedDetails[key] !== undefined && extractedDetails[key] !== null;
+
+    if (hasExpected && hasPredicted && valuesMatch(expectedFields[key], extractedDetails[key])) counts.tp++;
+    else {
+      if (hasPredicted) counts.fp++;
+      if (hasExpected) counts.fn++;
+    }
+  }
+  return counts;
+}
+
+export function fieldF1(items) {
+  const totals = items.reduce(
+    (sum, { fields }) => ({ tp: sum.tp + fields.tp, fp: sum.fp + fields.fp, fn: sum.fn + fields.fn }),
+    { tp: 0, fp: 0, fn: 0 }
+  );
+  const precision = ratio(totals.tp, totals.tp + totals.fp);
+  const recall = ratio(totals.tp, totals.tp + totals.fn);
+  return { ...totals, precision: round(precision), recall: round(recall), f1: round(f1(precision, recall)) };
+}
+
+export function summarize(items) {
+  const categories = perCategory(items);
+  return {
+    total: items.length,
+    errors: items.filter((item) => item.predicted === null).length,
+    accuracy: accuracy(items),
+    topLevelAccuracy: topLevelAccuracy(items),
+    macroF1: categories.macroF1,
+    perCategory: categories.rows,
+    confusion: confusionMatrix(items),
+    calibration: calibration(items),
+    fields: fieldF1(items),
+  };
+}
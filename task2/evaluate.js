@@ -0,0 +1,255 @@
+import "dotenv/config";
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { parseJsonl } from "./batch-input.js";
+import { mapWithConcurrency } from "./concurrency.js";
+import { scoreFields, summarize } from "./eval-metrics.js";
+import { createMockLlm, createRecordingLlm } from "./offline-llm.js";
+import { aiPrompter, bankingTriagePipeline, runPromptChain } from "./prompt-chain.js";
+import { findCategory, loadTaxonomy } from "./taxonomy.js";
+
+const usage = `Usage:
+  node evaluate.js run <dataset.jsonl> [options]
+  node evaluate.js diff <baseline.json> <candidate.json>
+
+Runs the triage chain over a labelled dataset and reports classification
+accuracy, per-category precision/recall, a confusion matrix, confidence
+calibration and field-extraction F1. Each run is saved as JSON; diff two
+saved runs to compare prompt versions.
+
+Dataset lines: {"id", "message", "expectedCategory", "expectedFields": {key: value}}
+
+Run options:
+  -m, --llm <mode>          gemini | mock | record | replay (default: mock)
+  -r, --recording <file>    Recorded replies for record/replay (default: data/recordings/<dataset>.json)
+  -n, --name <label>        Label stored with the results, e.g. the prompt version
+  -o, --out <file>          Where to save results (default: data/eval-results/<label>-<time>.json)
+  -t, --taxonomy <id|file>  Taxonomy id or JSON file (default: $TRIAGE_TAXONOMY or banking)
+  -c, --concurrency <n>     Items run at the same time (default: 4)`;
+
+const LLM_MODES = ["gemini", "mock", "record", "replay"];
+
+// Changes whenever a template or the step list changes, so saved results
+// show whether two runs used the same prompts.
+const pipelineFingerprint = (pipeline) =>
+  createHash("sha256")
+    .update(JSON.stringify(pipeline.steps.map((step) => [step.name, step.template ?? null])))
+    .digest("hex")
+    .slice(0, 12);
+
+const pct = (value) => (value === null ? "n/a" : `${(value * 100).toFixed(1)}%`);
+const num = (value) => (value === null ? "n/a" : value.toFixed(3));
+
+async function evaluateItem(item, { taxonomy, llmFor }) {
+    const expected = item.expectedCategory;
+    const expectedFields = item.expectedFields ?? {};
+    const outcome = { id: item.id, expected, predicted: null, score: null, extractedDetails: {}, error: null, traceId: null };
+
+    try {
+        const result = await runPromptChain(item.message, { taxonomy, llm: llmFor(item) });
+        outcome.predicted = result.bestCategory.chosenCategory;
+        outcome.score = result.bestCategory.score;
+        outcome.extractedDetails = result.detailExtraction.extractedDetails;
+        outcome.traceId = result.traceId;
+    } catch (error) {
+        outcome.error = { name: error.name, message: error.message, step: error.step ?? null };
+        outcome.traceId = error.traceId ?? null;
+    }
+
+    const requiredKeys = findCategory(taxonomy, expected)?.requiredDetails.map((detail) => detail.key) ?? [];
+    const scoredKeys = [...new Set([...Object.keys(expectedFields), ...requiredKeys])];
+    outcome.fields = scoreFields(expectedFields, outcome.extractedDetails, scoredKeys);
+    return outcome;
+}
+
+/**
+ * Runs the chain on every dataset item and returns the saved-results object.
+ *
+ * @param {Object[]} dataset Parsed dataset lines.
+ * @param {{ taxonomy: Object, llmFor: (item: Object) => Function, concurrency?: number }} options
+ */
+export async function evaluate(dataset, { taxonomy, llmFor, concurrency = 4 }) {
+    const problems = dataset
+        .map((item, index) => [item, index])
+        .filter(([item]) => typeof item.message !== "string" || !findCategory(taxonomy, item.expectedCategory))
+        .map(([item, index]) => `item ${item.id ?? index}: needs a message and an expectedCategory from the taxonomy`);
+    if (problems.length) throw new Error(`Invalid dataset:\n- ${problems.join("\n- ")}`);
+
+    const items = new Array(dataset.length);
+    await mapWithConcurrency(dataset, concurrency, async (item, index) => {
+        items[index] = await evaluateItem({ id: item.id ?? `item-${index + 1}`, ...item }, { taxonomy, llmFor });
+    });
+
+    return { summary: summarize(items), items };
+}
+
+export function formatReport({ name, llm, summary }) {
+    const lines = [
+        `Evaluation "${name}" (${llm} model): ${summary.total} items, ${summary.errors} failed`,
+        `  accuracy            ${pct(summary.accuracy)}`,
+        `  top-level accuracy  ${pct(summary.topLevelAccuracy)}`,
+        `  macro F1            ${num(summary.macroF1)}`,
+        `  field F1            ${num(summary.fields.f1)} (P ${num(summary.fields.precision)}, R ${num(summary.fields.recall)})`,
+        `  calibration         ECE ${num(summary.calibration.ece)}, Brier ${num(summary.calibration.brier)}`,
+        "",
+        "Per category (support, precision, recall, F1):",
+        ...summary.perCategory.map(
+            (row) => `  ${row.category.padEnd(45)} ${String(row.support).padStart(3)}  ${num(row.precision)}  ${num(row.recall)}  ${num(row.f1)}`
+        ),
+        "",
+        "Confusion (expected -> predicted: count):",
+    ];
+
+    for (const expected of summary.confusion.expected) {
+        const cells = Object.entries(summary.confusion.matrix[expected])
+            .filter(([, count]) => count)
+            .map(([predicted, count]) => `${predicted === expected ? "✓" : predicted}: ${count}`);
+        lines.push(`  ${expected} -> ${cells.join(", ")}`);
+    }
+
+    lines.push("", "Calibration (score bin: count, mean score, accuracy):");
+    for (const bin of summary.calibration.bins) {
+        lines.push(`  ${bin.from.toFixed(1)}-${bin.to.toFixed(1)}: ${bin.count}, ${num(bin.confidence)}, ${pct(bin.accuracy)}`);
+    }
+    return lines.join("\n");
+}
+
+const delta = (before, after, format) => {
+    if (before === null || after === null) return `${format(before)} -> ${format(after)}`;
+    const change = after - before;
+    return `${format(before)} -> ${format(after)} (${change >= 0 ? "+" : ""}${format(change)})`;
+};
+
+export function formatDiff(baseline, candidate) {
+    const lines = [
+        `Baseline "${baseline.name}" (prompts ${baseline.pipeline.fingerprint}) vs candidate "${candidate.name}" (prompts ${candidate.pipeline.fingerprint})`,
+    ];
+    if (baseline.dataset.fingerprint !== candidate.dataset.fingerprint) {
+        lines.push("  warning: the runs used different datasets");
+    }
+
+    const a = baseline.summary;
+    const b = candidate.summary;
+    lines.push(
+        `  accuracy            ${delta(a.accuracy, b.accuracy, pct)}`,
+        `  top-level accuracy  ${delta(a.topLevelAccuracy, b.topLevelAccuracy, pct)}`,
+        `  macro F1            ${delta(a.macroF1, b.macroF1, num)}`,
+        `  field F1            ${delta(a.fields.f1, b.fields.f1, num)}`,
+        `  ECE                 ${delta(a.calibration.ece, b.calibration.ece, num)}`,
+        "",
+        "Per-category F1 changes:"
+    );
+
+    const before = new Map(a.perCategory.map((row) => [row.category, row]));
+    const after = new Map(b.perCategory.map((row) => [row.category, row]));
+    for (const category of [...new Set([...before.keys(), ...after.keys()])].sort()) {
+        const f1Before = before.get(category)?.f1 ?? 0;
+        const f1After = after.get(category)?.f1 ?? 0;
+        if (f1Before !== f1After) lines.push(`  ${category.padEnd(45)} ${delta(f1Before, f1After, num)}`);
+    }
+
+    const baselineItems = new Map(baseline.items.map((item) => [item.id, item]));
+    const fixed = [];
+    const broken = [];
+    for (const item of candidate.items) {
+        const previous = baselineItems.get(item.id);
+        if (!previous) continue;
+        const wasRight = previous.predicted === previous.expected;
+        const isRight = item.predicted === item.expected;
+        if (!wasRight && isRight) fixed.push(`  ${item.id}: ${previous.predicted ?? "(error)"} -> ${item.predicted}`);
+        if (wasRight && !isRight) broken.push(`  ${item.id}: ${previous.predicted} -> ${item.predicted ?? "(error)"}`);
+    }
+
+    lines.push("", `Fixed (${fixed.length}):`, ...fixed, "", `Broken (${broken.length}):`, ...broken);
+    return lines.join("\n");
+}
+
+async function llmFactory(mode, { taxonomy, recordingFile }) {
+    if (mode === "mock") return { llmFor: (item) => createMockLlm({ taxonomy, message: item.message }) };
+    if (mode === "gemini") return { llmFor: () => aiPrompter };
+
+    const recorder = await createRecordingLlm({ file: recordingFile, mode, llm: aiPrompter });
+    return { llmFor: () => recorder.llm, save: recorder.save };
+}
+
+async function run(datasetPath, values) {
+    if (!LLM_MODES.includes(values.llm)) {
+        throw new Error(`--llm must be one of ${LLM_MODES.join(", ")}`);
+    }
+    const concurrency = Number(values.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error("--concurrency must be a positive integer");
+    }
+
+    const datasetText = await readFile(datasetPath, "utf8");
+    const dataset = parseJsonl(datasetText);
+    const taxonomy = await loadTaxonomy(values.taxonomy);
+    const datasetName = path.basename(datasetPath, path.extname(datasetPath));
+    const recordingFile = values.recording ?? path.join("data", "recordings", `${datasetName}.json`);
+
+    const { llmFor, save } = await llmFactory(values.llm, { taxonomy, recordingFile });
+    const { summary, items } = await evaluate(dataset, { taxonomy, llmFor, concurrency });
+    await save?.();
+
+    const createdAt = new Date().toISOString();
+    const name = values.name ?? pipelineFingerprint(bankingTriagePipeline);
+    const results = {
+        name,
+        createdAt,
+        llm: values.llm,
+        dataset: {
+            path: datasetPath,
+            fingerprint: createHash("sha256").update(datasetText).digest("hex").slice(0, 12),
+        },
+        taxonomy: { id: taxonomy.id, version: taxonomy.version },
+        pipeline: { name: bankingTriagePipeline.name, fingerprint: pipelineFingerprint(bankingTriagePipeline) },
+        summary,
+        items,
+    };
+
+    const out = values.out ?? path.join("data", "eval-results", `${name}-${createdAt.replace(/[:.]/g, "-")}.json`);
+    await mkdir(path.dirname(out), { recursive: true });
+    await writeFile(out, JSON.stringify(results, null, 2));
+
+    console.log(formatReport(results));
+    console.log(`\nSaved results to ${out}`);
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            llm: { type: "string", short: "m", default: "mock" },
+            recording: { type: "string", short: "r" },
+            name: { type: "string", short: "n" },
+            out: { type: "string", short: "o" },
+            taxonomy: { type: "string", short: "t" },
+            concurrency: { type: "string", short: "c", default: "4" },
+            help: { type: "boolean", short: "h" },
+        },
+    });
+
+    const [command, ...files] = positionals;
+
+    if (command === "run" && files.length === 1 && !values.help) {
+        return run(files[0], values);
+    }
+    if (command === "diff" && files.length === 2 && !values.help) {
+        const [baseline, candidate] = await Promise.all(files.map(async (file) => JSON.parse(await readFile(file, "utf8"))));
+        console.log(formatDiff(baseline, candidate));
+        return;
+    }
+
+    console.log(usage);
+    process.exitCode = values.help ? 0 : 1;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main().catch((error) => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
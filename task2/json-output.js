@@ -0,0 +1,99 @@
+// Pulls a JSON value out of a model reply. Models wrap JSON in Markdown
+// fences, put prose around it, leave trailing commas, use smart quotes or
+// Python literals, and sometimes drop the outer braces altogether when the
+// prompt shows the format as `"key": value, ...`. Each of those is tried in
+// turn; the strict parse always comes first so valid JSON is never rewritten.
+
+const FENCE = /```(?:json)?\s*([\s\S]*?)```/gi;
+const MAX_START_POSITIONS = 20;
+
+const repairs = [
+  (text) => text.replace(/[“”]/g, '"').replace(/[‘’]/g, "'"),
+  (text) => text.replace(/,\s*([}\]])/g, "$1"),
+  (text) => text.replace(/([{,]\s*)([A-Za-z_][\w-]*)\s*:/g, '$1"$2":'),
+  (text) => text.replace(/\bTrue\b/g, "true").replace(/\bFalse\b/g, "false").replace(/\bNone\b/g, "null"),
+];
+
+const tryParse = (text) => {
+  try {
+    return { value: JSON.parse(text) };
+  } catch {
+    return null;
+  }
+};
+
+// Strict parse first, then with each repair applied on top of the previous.
+const parseLeniently = (text) => {
+  let candidate = text;
+  let parsed = tryParse(candidate);
+  for (const repair of repairs) {
+    if (parsed) break;
+    candidate = repair(candidate);
+    parsed = tryParse(candidate);
+  }
+  return parsed;
+};
+
+// Returns the text from `start` up to the bracket that closes it, skipping
+// brackets inside strings, or null when it is never closed.
+const balancedSlice = (text, start) => {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === "\\") escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === "{" || char === "[") depth++;
+    else if (char === "}" || char === "]") {
+      depth--;
+      if (depth === 0) return text.slice(start, i + 1);
+    }
+  }
+
+  return null;
+};
+
+const fromCandidate = (text) => {
+  const whole = parseLeniently(text);
+  if (whole) return whole;
+
+  let starts = 0;
+  for (let i = 0; i < text.length && starts < MAX_START_POSITIONS; i++) {
+    if (text[i] !== "{" && text[i] !== "[") continue;
+    starts++;
+    const slice = balancedSlice(text, i);
+    const parsed = slice && parseLeniently(slice);
+    if (parsed) return parsed;
+  }
+
+  if (/^"[^"]+"\s*:/.test(text)) return parseLeniently(`{${text.replace(/,\s*$/, "")}}`);
+  return null;
+};
+
+/**
+ * Extracts the first JSON value found in a model reply.
+ *
+ * @param {string} text
+ * @returns {{ value: any } | { error: string }}
+ */
+export function extractJson(text) {
+  if (typeof text !== "string" || text.trim() === "") {
+    return { error: "reply is empty" };
+  }
+
+  const fenced = [...text.matchAll(FENCE)].map((match) => match[1].trim());
+  for (const candidate of [...fenced, text.trim()]) {
+    const parsed = fromCandidate(candidate);
+    if (parsed) return parsed;
+  }
+
+  return { error: "reply does not contain valid JSON" };
+}
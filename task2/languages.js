@@ -0,0 +1,33 @@
+// Language codes the triage chain knows by name. Codes are ISO 639-1 where
+// one exists, else ISO 639-3 ("pcm" for Nigerian Pidgin). Any other code the
+// model detects still works; it is just shown as the code itself.
+
+export const LANGUAGE_NAMES = {
+  en: "English",
+  fr: "French",
+  yo: "Yoruba",
+  ha: "Hausa",
+  ig: "Igbo",
+  pcm: "Nigerian Pidgin",
+  pt: "Portuguese",
+  es: "Spanish",
+  ar: "Arabic",
+  sw: "Swahili",
+};
+
+export const PIVOT_LANGUAGE = process.env.TRIAGE_PIVOT_LANGUAGE || "en";
+
+export const languageName = (code) => LANGUAGE_NAMES[code] ?? code;
+
+// Accepts a code ("fr", "FR") or a known name ("French", "pidgin") and
+// returns the code, or null when it is neither.
+export function normalizeLanguage(value) {
+  if (typeof value !== "string" || value.trim() === "") return null;
+  const wanted = value.trim().toLowerCase();
+  if (/^[a-z]{2,3}$/.test(wanted)) return wanted;
+
+  const match = Object.entries(LANGUAGE_NAMES).find(
+    ([, name]) => name.toLowerCase() === wanted || name.toLowerCase().split(" ").includes(wanted)
+  );
+  return match ? match[0] : null;
+}
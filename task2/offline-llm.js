@@ -0,0 +1,161 @@
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { LlmError } from "./chain-errors.js";
+import { findCategory } from "./taxonomy.js";
+
+// Stand-ins for Gemini so the chain can run without a network connection:
+// a keyword mock that needs no setup, and a recorder that replays real
+// model replies saved by an earlier run.
+
+const STOP_WORDS = new Set(
+  "a an and are as at be but by can do for from has have how i if in is it its me my of on or our so that the this to was we what when where which who why will with you your".split(" ")
+);
+
+const words = (text) =>
+  (text.toLowerCase().match(/[\p{L}\p{N}']+/gu) ?? []).filter((word) => word.length > 2 && !STOP_WORDS.has(word));
+
+// Strips a few common endings so "charged"/"charge" and "cards"/"card" meet.
+const stem = (word) => word.replace(/(ing|ed|es|s)$/, "");
+
+const stems = (text) => new Set(words(text).map(stem));
+
+const EXTRACTORS = {
+  amount: /(?:[$£€₦]\s?\d[\d,]*(?:\.\d+)?|\d[\d,]*(?:\.\d+)?\s?(?:dollars|pounds|euros|naira|usd|gbp|eur|ngn))/i,
+  date: /\b(?:today|yesterday|last (?:week|month|monday|tuesday|wednesday|thursday|friday|saturday|sunday)|(?:on )?(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday)|\d{1,2}[/-]\d{1,2}(?:[/-]\d{2,4})?)\b/i,
+  cardType: /\b(debit|credit)\b/i,
+  cardLastFourDigits: /\bending(?: in)? (\d{4})\b/i,
+  channel: /\b(app|website|online banking|phone banking)\b/i,
+};
+const KEY_EXTRACTOR = { transactionDate: "date", lastKnownUse: "date", applicationDate: "date" };
+
+const extractDetail = (key, message) => {
+  const match = message.match(EXTRACTORS[KEY_EXTRACTOR[key] ?? key] ?? /$^/);
+  return match ? (match[1] ?? match[0]).trim() : undefined;
+};
+
+// The keys listed under "Details still needed:" in a slotExtraction prompt.
+const neededKeys = (prompt) => {
+  const section = prompt.match(/Details still needed:([\s\S]*?)Details already collected:/)?.[1] ?? "";
+  return [...section.matchAll(/^\s*- ([^:\n]+)/gm)].map((match) => match[1].trim());
+};
+
+/**
+ * A deterministic keyword "model" for one customer message. Categories are
+ * ranked by word overlap with their name, description and examples, and
+ * details are pulled out with regular expressions. For the slot-filling
+ * pipeline `message` is the customer's answer to the follow-up question. Useful to check the
+ * harness and pipeline plumbing offline; its accuracy says nothing about
+ * the real prompts.
+ */
+export function createMockLlm({ taxonomy, message }) {
+  const messageStems = stems(message);
+  let ranking = [];
+
+  const rank = () =>
+    taxonomy.categories
+      .map((category) => {
+        const categoryStems = stems([category.path, category.description, ...category.examples].join(" "));
+        const overlap = [...messageStems].filter((word) => categoryStems.has(word)).length;
+        // Ties go to the more specific category.
+        return { category: category.path, overlap: overlap + (category.parent && overlap ? 0.5 : 0) };
+      })
+      .filter((entry) => entry.overlap > 0)
+      .sort((a, b) => b.overlap - a.overlap)
+      .slice(0, 3);
+
+  const replies = {
+    // Everything is treated as English; the "translation" is the (masked)
+    // message as it appeared in the prompt.
+    languageDetection: (prompt) => {
+      const quoted = prompt.match(/```\s*([\s\S]*?)\s*```/);
+      return JSON.stringify({ language: "en", confidence: 0.99, translation: quoted ? quoted[1] : message });
+    },
+    intent: () => `The customer writes: ${message.split(/(?<=[.!?])\s/)[0]}\nKeywords: ${words(message).slice(0, 6).join(", ")}`,
+    categoryMapping: () => {
+      ranking = rank();
+      if (!ranking.length) ranking = [{ category: taxonomy.categories.at(-1).path, overlap: 0 }];
+      const top = ranking[0].overlap || 1;
+      return JSON.stringify(
+        ranking.map(({ category, overlap }) => ({
+          category,
+          score: Math.round(Math.min(0.95, 0.3 + (0.65 * overlap) / (top + 1)) * 100) / 100,
+          reason: "Keyword overlap with the category description.",
+        }))
+      );
+    },
+    bestCategory: () => {
+      const mapping = JSON.parse(replies.categoryMapping());
+      return JSON.stringify({ chosenCategory: mapping[0].category, score: mapping[0].score, explanation: "Highest keyword overlap." });
+    },
+    detailExtraction: () => {
+      const required = findCategory(taxonomy, ranking[0]?.category)?.requiredDetails ?? [];
+      const extractedDetails = {};
+      const missingDetails = [];
+      for (const { key } of required) {
+        const value = extractDetail(key, message);
+        if (value === undefined) missingDetails.push(key);
+        else extractedDetails[key] = value;
+      }
+      return JSON.stringify({ extractedDetails, missingDetails });
+    },
+    response: () => "Thank you for contacting us. We are looking into this for you.",
+    holdingReply: () => "Thank you for contacting us. A member of our support team will get back to you shortly.",
+    slotExtraction: (prompt) => {
+      const extractedDetails = {};
+      for (const key of neededKeys(prompt)) {
+        const value = extractDetail(key, message);
+        if (value !== undefined) extractedDetails[key] = value;
+      }
+      return JSON.stringify({ extractedDetails });
+    },
+    reply: () => "Thank you for the details. We have added them to your request.",
+  };
+
+  return async (prompt, step) => {
+    const reply = replies[step.name];
+    if (!reply) throw new LlmError(`Mock model has no reply for step "${step.name}"`);
+    return reply(prompt);
+  };
+}
+
+const recordingKey = (prompt, step) => createHash("sha256").update(`${step.name}\n${prompt}`).digest("hex");
+
+/**
+ * Wraps an llm with a JSON file of recorded replies keyed by step and
+ * prompt. In "replay" mode a prompt without a recording is an error, so a
+ * run is fully offline. In "record" mode recordings are reused when present
+ * and the wrapped llm is called (and its reply recorded) otherwise; call
+ * save() afterwards to write them back.
+ */
+export async function createRecordingLlm({ file, mode = "replay", llm }) {
+  let recordings = {};
+  try {
+    recordings = JSON.parse(await readFile(file, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT" || mode === "replay") throw error;
+  }
+
+  let changed = false;
+
+  return {
+    llm: async (prompt, step) => {
+      const key = recordingKey(prompt, step);
+      if (recordings[key]) return recordings[key].reply;
+
+      if (mode === "replay") {
+        throw new LlmError(`No recorded reply for step "${step.name}" (was the prompt changed?)`);
+      }
+
+      const reply = await llm(prompt, step);
+      recordings[key] = { step: step.name, reply };
+      changed = true;
+      return reply;
+    },
+    save: async () => {
+      if (!changed) return;
+      await mkdir(path.dirname(file), { recursive: true });
+      await writeFile(file, JSON.stringify(recordings, null, 2));
+    },
+  };
+}
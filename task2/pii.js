@@ -0,0 +1,193 @@
+// Swaps personal data in customer messages for placeholders such as
+// [CARD_1] before any prompt is built, and swaps the real values back into
+// whatever the caller chooses to restore. The same value always gets the
+// same placeholder within one vault, so the model can still tell that two
+// mentions refer to the same card.
+//
+// Detectors run in a fixed order over text that earlier detectors have
+// already masked, so a card number is never re-read as a phone number.
+
+export const PII_TYPES = ["EMAIL", "IBAN", "CARD", "SORT_CODE", "ACCOUNT", "PHONE", "NAME"];
+
+const PLACEHOLDER = new RegExp(`\\[?\\b(${PII_TYPES.join("|")})_(\\d+)\\b\\]?`, "g");
+
+const digitsOf = (text) => text.replace(/\D/g, "");
+
+export function luhnValid(number) {
+  const digits = digitsOf(number);
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return digits.length > 0 && sum % 10 === 0;
+}
+
+// ISO 13616: move the first four characters to the end, turn letters into
+// numbers (A=10 ... Z=35) and the result mod 97 must be 1.
+export function ibanValid(iban) {
+  const compact = iban.replace(/\s/g, "").toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(compact)) return false;
+
+  const rearranged = compact.slice(4) + compact.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of value) remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+const NAME = "[A-Z][a-z]+(?:[-'][A-Z][a-z]+)?";
+const FULL_NAME = `${NAME}(?:\\s+${NAME}){0,2}`;
+// A name ends the run of capitalized words on its line and is not the start
+// of a place or team ("Lagos branch", "Card Services team").
+const NAME_END = "\\b(?![ \\t]+(?:[A-Z]|(?:branch|team|office|department|desk|unit|support|bank)\\b))";
+
+// Capitalized words that follow "Thanks," or "This is" without being a name.
+const NOT_NAMES = new Set(
+  `Urgent Important Again Everyone All Sir Madam Please Regarding Team Support Customer Care Service Services Bank Branch Office Department Management Admin
+  Monday Tuesday Wednesday Thursday Friday Saturday Sunday January February March April May June July August September October November December`.split(/\s+/)
+);
+const notAName = (value) => !value.split(/\s+/).some((word) => NOT_NAMES.has(word));
+
+const DATE = /^(?:\d{4}-\d{1,2}-\d{1,2}|\d{1,2}-\d{1,2}-\d{4})$/;
+
+// Each detector returns the matches to mask; `group` picks the part of the
+// match that is the personal data when there is surrounding context.
+const detectors = [
+  { type: "EMAIL", pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  { type: "IBAN", pattern: /\b[A-Z]{2}\d{2}(?:\s?[A-Z0-9]{4}){2,7}(?:\s?[A-Z0-9]{1,3})?\b/g, accept: ibanValid },
+  {
+    type: "CARD",
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    accept: (match) => digitsOf(match).length >= 13 && luhnValid(match),
+  },
+  { type: "SORT_CODE", pattern: /\bsort\s*code\s*(?:is|:)?\s*(\d{2}[- ]?\d{2}[- ]?\d{2})\b/gi, group: 1 },
+  {
+    type: "ACCOUNT",
+    pattern: /\b(?:account|acct|a\/c)\s*(?:number|no\.?|num|#)?\s*(?:is|:)?\s*(\d[\d -]{4,18}\d)\b/gi,
+    group: 1,
+  },
+  {
+    type: "PHONE",
+    pattern: /(?<![\w-])(?:\+\d{1,3}[\s.-]?)?\(?\b0?\d{2,4}\)?[\s.-]?\d{3,4}[\s.-]?\d{3,4}\b(?![ -]?\d)/g,
+    accept: (match) => {
+      const digits = digitsOf(match);
+      return digits.length >= 10 && digits.length <= 14 && (/^\s*\+/.test(match) || digits.startsWith("0") || /[\s.()-]/.test(match.trim()));
+    },
+  },
+  // Long digit runs left over (including card-like numbers that fail the
+  // Luhn check) are treated as account numbers. Dates such as 2024-05-12 or
+  // 12-05-2024 are matched first and left alone, so no digit run starts
+  // inside one.
+  {
+    type: "ACCOUNT",
+    pattern: /\b(?:\d{4}-\d{1,2}-\d{1,2}|\d{1,2}-\d{1,2}-\d{4})\b|\b\d(?:[ -]?\d){7,18}\b/g,
+    accept: (match) => !DATE.test(match),
+  },
+  {
+    type: "NAME",
+    pattern: new RegExp(`\\b(?:[Mm]y name is|[Nn]ame\\s*:|[Rr]egards,?|[Tt]hanks,?|[Tt]hank you,?|[Ss]incerely,?|[Cc]heers,?)\\s+(${FULL_NAME})${NAME_END}`, "g"),
+    group: 1,
+    accept: notAName,
+  },
+  // "This is" only introduces a name where a greeting would: at the start of
+  // a line, after an optional "Hi," or "Good morning,".
+  {
+    type: "NAME",
+    pattern: new RegExp(`^[ \\t]*(?:(?:[Hh]i|[Hh]ello|[Hh]ey|[Gg]ood (?:morning|afternoon|evening))[,!]?\\s+)?[Tt]his is[ \\t]+(${FULL_NAME})${NAME_END}`, "gm"),
+    group: 1,
+    accept: notAName,
+  },
+  { type: "NAME", pattern: new RegExp(`\\b(?:Mr|Mrs|Ms|Miss|Dr)\\.?\\s+(${FULL_NAME})`, "g"), group: 1 },
+];
+
+/**
+ * Holds the placeholder <-> value mapping for one conversation or run.
+ * `entries` is plain data so a vault can be saved and rebuilt later.
+ */
+export class PiiVault {
+  constructor(entries = {}) {
+    this.entries = { ...entries };
+    this.byValue = new Map(Object.entries(this.entries).map(([placeholder, entry]) => [`${entry.type}:${entry.value}`, placeholder]));
+  }
+
+  placeholderFor(type, value) {
+    const key = `${type}:${value}`;
+    if (!this.byValue.has(key)) {
+      const count = Object.values(this.entries).filter((entry) => entry.type === type).length;
+      const placeholder = `[${type}_${count + 1}]`;
+      this.entries[placeholder] = { type, value };
+      this.byValue.set(key, placeholder);
+    }
+    return this.byValue.get(key);
+  }
+
+  valueOf(type, index) {
+    return this.entries[`[${type}_${index}]`]?.value;
+  }
+
+  toJSON() {
+    return this.entries;
+  }
+}
+
+/**
+ * Masks personal data in `text`.
+ *
+ * @returns {{ text: string, vault: PiiVault, audit: { total: number, types: Object<string, number> } }}
+ *   `audit` counts what was masked in this text by entity type; it never
+ *   contains the values themselves.
+ */
+export function maskPii(text, vault = new PiiVault()) {
+  const types = {};
+  let masked = text;
+
+  for (const { type, pattern, group, accept } of detectors) {
+    masked = masked.replace(pattern, (match, ...rest) => {
+      const value = group ? rest[group - 1] : match;
+      if (!value || (accept && !accept(value))) return match;
+
+      types[type] = (types[type] ?? 0) + 1;
+      const placeholder = vault.placeholderFor(type, value.trim());
+      return group ? match.replace(value, placeholder) : placeholder;
+    });
+  }
+
+  const total = Object.values(types).reduce((sum, count) => sum + count, 0);
+  return { text: masked, vault, audit: { total, types } };
+}
+
+// Puts the real values back into a string, array or plain object (deeply).
+// Placeholders the model mangled slightly ("CARD_1" without brackets) are
+// still recognised; unknown ones are left as they are.
+export function unmaskPii(value, vault) {
+  if (typeof value === "string") {
+    return value.replace(PLACEHOLDER, (match, type, index) => vault.valueOf(type, index) ?? match);
+  }
+  if (Array.isArray(value)) return value.map((item) => unmaskPii(item, vault));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, unmaskPii(item, vault)]));
+  }
+  return value;
+}
+
+// The reverse of unmaskPii for values that came back from it: replaces every
+// value the vault already knows with its placeholder. Used to keep restored
+// details masked while they are stored between turns.
+export function maskKnownPii(value, vault) {
+  if (typeof value === "string") {
+    const known = Object.entries(vault.entries).sort(([, a], [, b]) => b.value.length - a.value.length);
+    return known.reduce((text, [placeholder, entry]) => text.split(entry.value).join(placeholder), value);
+  }
+  if (Array.isArray(value)) return value.map((item) => maskKnownPii(item, vault));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, maskKnownPii(item, vault)]));
+  }
+  return value;
+}
@@ -1,150 +1,377 @@
-import dotenv from "dotenv";
-dotenv.config();
+import { fileURLToPath } from "node:url";
 import { GoogleGenAI } from "@google/genai";
+import { runPipeline } from "./chain-engine.js";
+import { LlmError } from "./chain-errors.js";
+import {
+    categoryPaths,
+    describeCategories,
+    describeRequiredDetails,
+    findCategory,
+    loadTaxonomy,
+    routingFor,
+} from "./taxonomy.js";
+import { maskPii, unmaskPii } from "./pii.js";
+import { languageName, normalizeLanguage, PIVOT_LANGUAGE } from "./languages.js";
+import { Trace } from "./tracing.js";
+import { createTraceStore, saveTrace } from "./trace-store.js";
 
+/**
+ * @typedef {Object} BankingTriageResult
+ * @property {string} intent One-sentence summary of the request plus keywords.
+ * @property {{ category: string, score: number, reason: string }[]} categoryMapping
+ * @property {{ chosenCategory: string, score: number, explanation: string }} bestCategory
+ * @property {{ extractedDetails: Object<string, string>, missingDetails: string[] }} detailExtraction
+ * @property {string} response The drafted reply to the customer.
+ * @property {{ language: string, confidence: number, translation: string }} languageDetection
+ * @property {{ detected: string, name: string, confidence: number, reply: string, replyName: string, pivot: string, overridden: boolean }} language
+ *   The detected language and the one the reply was written in.
+ * @property {{ escalate: boolean, maxScore: number, threshold: number }} escalation
+ * @property {{ category: string, team: string, priority: string, requiredDetails: string[], escalated: boolean }} routing
+ * @property {{ total: number, types: Object<string, number> }} [pii] What was masked before prompting.
+ * @property {string | null} traceId Id of the saved trace, when tracing is on.
+ * @property {{ totalMs: number, sequentialMs: number, steps: Object<string, { kind: string, status: string, startMs: number, latencyMs: number }>, overlaps: { steps: string[], ms: number }[] }} latency
+ *   End-to-end and per-step timings; sequentialMs is the sum of the steps and
+ *   overlaps lists the model calls that ran at the same time.
+ */
 
-const genAI = new GoogleGenAI({
-  apiKey: process.env.GEMINI_API_KEY,
-});
-
-const categories = [
-    "Account Opening",
-    "Billing Issue",
-    "Account Access",
-    "Transaction Inquiry",
-    "Card Services",
-    "Account Statement",
-    "Loan Inquiry",
-    "General Information"
-]
-
-function markDownRemover(text) {
-  // Extract the JSON inside ```json ... ```
-  const match = text.match(/```json([\s\S]*?)```/);
-  
-  if (match && match[1]) {
-    return match[1].trim(); // return only the inner JSON
-  }
-
-  // Fallback: remove Markdown fences if they exist, else return original
-  return text
-    .replace(/```json/g, '')
-    .replace(/```/g, '')
-    .trim();
-}
+// Formatters used by the bindings below to turn earlier step outputs back
+// into prompt text.
+const formatCandidates = (candidates) =>
+    candidates.map(category => `${category.category}: ${category.score} - ${category.reason}`).join("\n");
+
+const formatChoice = (choice) => `${choice.chosenCategory}: ${choice.score} - ${choice.explanation}`;
+
+const formatTopCandidate = (candidates) => {
+    const top = topCandidate(candidates);
+    return `${top.category}: ${top.score} - ${top.reason}`;
+};
+
+const formatRequiredDetails = (candidates, { input }) => {
+    const required = describeRequiredDetails(findCategory(input.taxonomy, topCandidate(candidates).category));
+    return required
+        ? `For this category we always need:\n${required}\nUse exactly these keys in "extractedDetails" for the ones the message contains and list the keys of the ones it does not contain in "missingDetails". Put any other specifics relevant to resolving the issue under short English camelCase keys.`
+        : `No specific details are required for this category. Extract any specifics relevant to resolving the issue under short English camelCase keys and list in "missingDetails" any you deem necessary but missing.`;
+};
+
+const formatDetails = (details) => [
+    Object.entries(details.extractedDetails).map(([key, value]) => `${key}: ${value}`).join("\n"),
+    details.missingDetails.length > 0 ? `Missing Details:\n ${details.missingDetails.join("\n- ")}` : "No missing details.",
+].join("\n\n");
+
+const score = { type: "number", minimum: 0, maximum: 1 };
+const text = { type: "string", trim: true, minLength: 1 };
+
+// Schemas for the JSON steps. The category schemas are built per run so the
+// model can only pick from the taxonomy it was offered.
+export const stepSchemas = {
+    languageDetection: {
+        type: "object",
+        required: ["language", "confidence", "translation"],
+        properties: {
+            language: { type: "string", trim: true, pattern: "^[A-Za-z]{2,3}$" },
+            confidence: score,
+            translation: text,
+        },
+    },
+    categoryMapping: ({ taxonomy }) => ({
+        type: "array",
+        minItems: 1,
+        maxItems: 3,
+        items: {
+            type: "object",
+            required: ["category", "score", "reason"],
+            properties: { category: { type: "string", enum: categoryPaths(taxonomy) }, score, reason: text },
+        },
+    }),
+    bestCategory: ({ taxonomy }) => ({
+        type: "object",
+        required: ["chosenCategory", "score", "explanation"],
+        properties: { chosenCategory: { type: "string", enum: categoryPaths(taxonomy) }, score, explanation: text },
+    }),
+    detailExtraction: {
+        type: "object",
+        required: ["extractedDetails", "missingDetails"],
+        properties: {
+            extractedDetails: {
+                type: "object",
+                additionalProperties: { type: ["string", "number", "boolean", "null"] },
+                default: {},
+            },
+            missingDetails: { type: "array", items: text, default: [] },
+        },
+    },
+};
+
+// Confidence thresholds for the conditional steps. Above `skipSelection`
+// the top mapped category is taken as is and the best-category round trip is
+// skipped; below `escalation` no category is trusted and the message goes to
+// a human instead of getting a drafted reply. Below `language` the detected
+// language is not trusted and replies are written in the pivot language.
+export const DEFAULT_THRESHOLDS = {
+    skipSelection: Number(process.env.TRIAGE_SKIP_SELECTION_SCORE ?? 0.85),
+    escalation: Number(process.env.TRIAGE_ESCALATION_SCORE ?? 0.4),
+    language: Number(process.env.TRIAGE_LANGUAGE_CONFIDENCE ?? 0.5),
+};
+
+export const ESCALATION_REPLY =
+    "Thank you for contacting us. A member of our support team will review your message and get back to you shortly.";
+
+const topCandidate = (candidates) => candidates.reduce((best, candidate) => (candidate.score > best.score ? candidate : best));
 
-function intentInterpterPrompt(customerQuery) {
-    return `
+const notEscalated = ({ steps }) => !steps.escalation.escalate;
+
+// The message as the analysis steps see it: the pivot-language translation,
+// followed by the original when the customer wrote in another language.
+// Codes are compared lowercased, as the language step stores them.
+const formatAnalysedMessage = (detection, { input }) =>
+    detection.language.toLowerCase() === input.pivotLanguage?.toLowerCase()
+        ? input.customerQuery
+        : `${detection.translation}\n\nOriginal message (${languageName(detection.language.toLowerCase())}):\n${input.customerQuery}`;
+
+export const bankingTriagePipeline = {
+    name: "banking-triage",
+    steps: [
+        {
+            name: "languageDetection",
+            schema: stepSchemas.languageDetection,
+            inputs: {
+                customerQuery: "input.customerQuery",
+                pivotLanguage: { from: "input.pivotLanguage", format: languageName },
+            },
+            output: "json",
+            template: `
+    Identify the language the following customer message is written in and translate the message into {{pivotLanguage}}.\n
+    Customers often write in English, French, Yoruba, Hausa, Igbo or Nigerian Pidgin, but it may be any language. If the message mixes languages, pick the dominant one.\n
+    Customer Message:\n
+    \`\`\`\n
+    {{customerQuery}}\n
+    \`\`\`\n
+    Keep numbers, amounts, dates, reference codes and values in square brackets such as [CARD_1] exactly as they are. If the message is already in {{pivotLanguage}}, return it unchanged as the translation.\n
+    Let your output be in this json format "language": ISO 639-1 code (use "pcm" for Nigerian Pidgin), "confidence": a number between 0 and 1, "translation": "".
+    `,
+        },
+        {
+            name: "language",
+            inputs: {
+                detection: "steps.languageDetection",
+                override: "input.language",
+                pivot: "input.pivotLanguage",
+                thresholds: "input.thresholds",
+            },
+            run: ({ detection, override, pivot, thresholds }) => {
+                const detected = detection.language.toLowerCase();
+                const reply = override ?? (detection.confidence >= thresholds.language ? detected : pivot);
+                return {
+                    detected,
+                    name: languageName(detected),
+                    confidence: detection.confidence,
+                    reply,
+                    replyName: languageName(reply),
+                    pivot,
+                    overridden: Boolean(override),
+                };
+            },
+        },
+        {
+            name: "intent",
+            inputs: { customerQuery: { from: "steps.languageDetection", format: formatAnalysedMessage } },
+            template: `
     You are a bank assistant chatbox that reads and analyzes a customer message or report.\n
     Analyze the following customer message and describe in one sentence what the customer wants or reports.\n
     Also list the most important keywords/phrases from the message that support or describe customer wants or reports.\n
     Customer Message:\n
     \`\`\`\n
-    ${customerQuery}\n
+    {{customerQuery}}\n
     \`\`\`
- `
-}
-
-function categoryMapperPrompt(analysedReport, categories) {
-    return `
+ `,
+        },
+        {
+            name: "categoryMapping",
+            schema: stepSchemas.categoryMapping,
+            inputs: {
+                analysedReport: "steps.intent",
+                categories: { from: "input.taxonomy", format: describeCategories },
+            },
+            output: "json",
+            template: `
     Based on the analysed and described customer report with the list of important keywords/phrases\n
     \`\`\`\n
-    ${analysedReport}\n
+    {{analysedReport}}\n
     \`\`\`\n
-    Suggest and map up to three relevant categories from the following list that could be apply to the report:\n
+    Suggest and map up to three relevant categories from the following list that could be apply to the report.\n
+    Each category has a description and example customer messages. Subcategories are written as "Parent > Child"; prefer the most specific category that fits.\n
     \`\`\`\n
-    ${categories.join("\n- ")}\n
+    {{categories}}\n
     \`\`\`\n
+    Use each category name exactly as written in the list.\n
     In your Output, let it be a json in a list. for each category include a confidence score between 0 and 1 and a one-line reason that ties the category in this json format "category": , "score": , "reason":.
-    `
-}
-
-function appropriateCategoryPrompt(analysedReport, categoryList) {
-    categoryList = markDownRemover(categoryList);
-    const sanitisedCategoryList = JSON.parse(categoryList)
-
-    return `
+    `,
+        },
+        {
+            name: "bestCategory",
+            schema: stepSchemas.bestCategory,
+            after: ["escalation"],
+            when: ({ input, steps }) =>
+                notEscalated({ steps }) && topCandidate(steps.categoryMapping).score < input.thresholds.skipSelection,
+            otherwise: ({ candidates }) => {
+                const top = topCandidate(candidates);
+                return { chosenCategory: top.category, score: top.score, explanation: top.reason };
+            },
+            inputs: {
+                analysedReport: "steps.intent",
+                candidates: { from: "steps.categoryMapping", format: formatCandidates },
+            },
+            output: "json",
+            template: `
     From the suggested categories with confidence scores:\n
     \`\`\`\n
-    ${sanitisedCategoryList.map(category => `${category.category}: ${category.score} - ${category.reason}`).join("\n")}\n
+    {{candidates}}\n
     \`\`\`\n
     choose the single best category and explain in 1-2 sentences why it is best (cite the strongest evidence words) with this analysed word below.\n
     \`\`\`\n
-    ${analysedReport}\n
+    {{analysedReport}}\n
     \`\`\`\n
     Let your output be in this json format "chosenCategory":"", "score":, "explanation":"".
-    `
-}
-
-function MoreDetailsExtractorPrompt(chosenCategory, customerQuery) {
-    chosenCategory = markDownRemover(chosenCategory);
-    const santisedCategory = JSON.parse(chosenCategory)
-
-    return `
+    `,
+        },
+        // Works from the top mapped category rather than bestCategory's
+        // choice, so the two model calls run at the same time. When
+        // bestCategory picks another category, slot filling asks for the
+        // details that category still needs.
+        {
+            name: "detailExtraction",
+            schema: stepSchemas.detailExtraction,
+            after: ["escalation"],
+            when: notEscalated,
+            otherwise: () => ({ extractedDetails: {}, missingDetails: [] }),
+            inputs: {
+                chosenCategory: { from: "steps.categoryMapping", format: formatTopCandidate },
+                requiredDetails: { from: "steps.categoryMapping", format: formatRequiredDetails },
+                customerQuery: { from: "steps.languageDetection", format: formatAnalysedMessage },
+            },
+            output: "json",
+            template: `
     For the chosen category\n
     \`\`\`\n
-     ${santisedCategory.chosenCategory}: ${santisedCategory.score} - ${santisedCategory.explanation}\n
+     {{chosenCategory}}\n
     \`\`\`\n
     extract any additional details that would be needed from the original customer message and are relevant to resolving the issue.\n
-    These may include transaction date, amount, card type, account number, or other specifics.\n
-    If there are no additional details needed in the customer message, list "missing" details you deem necessary but missing.\n
+    {{requiredDetails}}\n
     Customer Message:\n
     \`\`\`\n
-    ${customerQuery}\n
+    {{customerQuery}}\n
     \`\`\`\n
+    Values in square brackets such as [CARD_1] or [NAME_1] stand in for redacted personal data. Copy them exactly when a detail refers to them.\n
+    Always write the keys in English, whatever language the customer used.\n
 
     Let your output be in this json format "extractedDetails":{key:value}, "missingDetails":[list].
-    `
-}
-
-function responsePrompt(chosenCategory, additionalDetails, analysedReport, customerQuery) {
-    chosenCategory = markDownRemover(chosenCategory);
-    const santisedCategory = JSON.parse(chosenCategory)
-    additionalDetails = markDownRemover(additionalDetails)
-    const santisedAdditionalDetails = JSON.parse(additionalDetails)
-
-    return `
+    `,
+        },
+        {
+            name: "response",
+            after: ["escalation"],
+            when: notEscalated,
+            otherwise: ({ holdingReply }) => holdingReply,
+            inputs: {
+                holdingReply: "steps.holdingReply",
+                replyLanguage: "steps.language.replyName",
+                chosenCategory: { from: "steps.bestCategory", format: formatChoice },
+                details: { from: "steps.detailExtraction", format: formatDetails },
+                analysedReport: "steps.intent",
+                customerQuery: "input.customerQuery",
+            },
+            template: `
     You are the banking assistant\n
     Using the chosen category\n
     \`\`\`\n
-    ${santisedCategory.chosenCategory}: ${santisedCategory.score} - ${santisedCategory.explanation}\n
+    {{chosenCategory}}\n
     \`\`\`\n
     and the additional extracted details:\n
     \`\`\`\n
-    ${Object.entries(santisedAdditionalDetails.extractedDetails).map(([key, value]) => `${key}: ${value}`).join("\n")}\n
-    ${santisedAdditionalDetails.missingDetails.length > 0 ? `Missing Details:\n ${santisedAdditionalDetails.missingDetails.join("\n- ")}` : "No missing details."}\n
+    {{details}}\n
     \`\`\`\n
     Generate a concise, polite, and helpful response (≤ 50 words) to the customer analysed report:\n
     \`\`\`\n
-    ${analysedReport}\n
+    {{analysedReport}}\n
     \`\`\`\n
     extracted from a customer query:\n
     \`\`\`\n
-    ${customerQuery}\n
+    {{customerQuery}}\n
     \`\`\`\n
     that acknowledges their issue and outlines the next steps or resolution.\n
     If any needed detail appeared in the "missing" list of additonal extracted details:\n
      \`\`\`\n
-    ${Object.entries(santisedAdditionalDetails.extractedDetails).map(([key, value]) => `${key}: ${value}`).join("\n")}\n
-    ${santisedAdditionalDetails.missingDetails.length > 0 ? `Missing Details:\n ${santisedAdditionalDetails.missingDetails.join("\n- ")}` : "No missing details."}\n
+    {{details}}\n
     \`\`\`\n
-    include one polite question asking for the most critical missing item first.
-    `
-}
+    include one polite question asking for the most critical missing item first.\n
+    Values in square brackets such as [CARD_1] or [NAME_1] stand in for redacted personal data. Copy them exactly if you mention them and never ask the customer to repeat them.\n
+    Write the response in {{replyLanguage}}.
+    `,
+        },
+        {
+            name: "escalation",
+            inputs: { candidates: "steps.categoryMapping", thresholds: "input.thresholds" },
+            run: ({ candidates, thresholds }) => {
+                const maxScore = topCandidate(candidates).score;
+                return {
+                    escalate: maxScore < thresholds.escalation,
+                    maxScore,
+                    threshold: thresholds.escalation,
+                };
+            },
+        },
+        {
+            name: "holdingReply",
+            after: ["escalation"],
+            inputs: { language: "steps.language.replyName" },
+            // ESCALATION_REPLY is written in English.
+            when: ({ steps }) => steps.escalation.escalate && steps.language.reply !== "en",
+            otherwise: () => ESCALATION_REPLY,
+            template: `
+    Translate the following message from a bank's customer support team into {{language}}. Reply with the translation only.\n
+    \`\`\`\n
+    ${ESCALATION_REPLY}\n
+    \`\`\`
+    `,
+        },
+        {
+            name: "routing",
+            inputs: { taxonomy: "input.taxonomy", choice: "steps.bestCategory", escalation: "steps.escalation" },
+            run: ({ taxonomy, choice, escalation }) => {
+                const routing = routingFor(taxonomy, choice.chosenCategory);
+                if (!escalation.escalate) return { ...routing, escalated: false };
+                return { ...routing, ...taxonomy.escalation, escalated: true };
+            },
+        },
+    ],
+};
 
+// The client is created on first use so importing this module needs neither
+// an API key nor a network connection.
+let genAI;
 
-const aiPrompter = async (query) => {
+export const DEFAULT_MODEL = "gemini-2.0-flash";
 
-    if (!query || query.trim() === "" || typeof query !== "string") {
-        return { message: "Invalid prompt" };
+// Sends one prompt to Gemini, using the step's model when it names one.
+// Failures are thrown as LlmError; the engine adds the step name.
+export const aiPrompter = async (query, step = {}) => {
+
+    if (typeof query !== "string" || query.trim() === "") {
+        throw new LlmError("Invalid prompt");
     }
 
+    genAI ??= new GoogleGenAI({
+        apiKey: process.env.GEMINI_API_KEY,
+    });
+
     const sanitizedQuery = query.trim();
     const systemPrompt = "You are a helpful, polite and intelligent customer bank support assistant.";
+    const model = step.model ?? DEFAULT_MODEL;
 
+    let completion;
     try {
-        const completion = await genAI.models.generateContent({
-            model: "gemini-2.0-flash",
+        completion = await genAI.models.generateContent({
+            model,
             contents: [
                 {
                     role: "user", 
@@ -154,28 +381,135 @@ const aiPrompter = async (query) => {
                 },
             ],
         });
-
-        const aiResponse = completion.candidates[0].content.parts[0].text;
-        return aiResponse;
     } catch (error) {
-        return { message: "Error generating response" };    
+        throw new LlmError("Error generating response", { cause: error });
     }
+
+    const aiResponse = completion.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!aiResponse) {
+        throw new LlmError(`Model returned no text (finish reason: ${completion.candidates?.[0]?.finishReason ?? "unknown"})`);
+    }
+
+    const usage = completion.usageMetadata ?? {};
+    return {
+        text: aiResponse,
+        model,
+        config: { systemPrompt },
+        usage: {
+            inputTokens: usage.promptTokenCount ?? 0,
+            outputTokens: usage.candidatesTokenCount ?? 0,
+            totalTokens: usage.totalTokenCount ?? 0,
+        },
+    };
 };
 
-async function runPromptChain(customerQuery) {
-    const response = []
-    const analysedReport = await aiPrompter(intentInterpterPrompt(customerQuery));
-    response.push(analysedReport)
-    const categoryList = await aiPrompter(categoryMapperPrompt(analysedReport, categories));
-    response.push(categoryList)
-    const chosenCategory =  await aiPrompter(appropriateCategoryPrompt(analysedReport, categoryList));
-    response.push(chosenCategory)
-    const additionalDetails = await aiPrompter(MoreDetailsExtractorPrompt(chosenCategory, customerQuery));
-    response.push(additionalDetails)
-    const finalResponse = await aiPrompter(responsePrompt(chosenCategory, additionalDetails, analysedReport, customerQuery));
-    response.push(finalResponse)
-
-    return response
+/**
+ * Runs the banking triage pipeline on one customer message.
+ *
+ * @param {string} customerQuery
+ * @param {{ llm?: import("./chain-engine.js").Llm, taxonomy?: import("./taxonomy.js").Taxonomy, maskPii?: boolean, vault?: import("./pii.js").PiiVault, traceStore?: import("./trace-store.js").FileTraceStore | null, thresholds?: Partial<typeof DEFAULT_THRESHOLDS>, language?: string }} [options]
+ *   `taxonomy` defaults to the one named by TRIAGE_TAXONOMY, else "banking".
+ *   Personal data is masked before any prompt is built and restored in the
+ *   extracted details and the reply; pass `maskPii: false` to turn that off,
+ *   or a `vault` to share placeholders with later turns of a conversation.
+ *   Each run is traced to `traceStore` (default: createTraceStore(); pass
+ *   null to skip tracing). `thresholds` overrides DEFAULT_THRESHOLDS.
+ *   `language` (a code or name) forces the language of the reply; analysis
+ *   always runs in the pivot language, TRIAGE_PIVOT_LANGUAGE or English.
+ * @returns {Promise<BankingTriageResult>}
+ * @throws {import("./chain-errors.js").ChainError}
+ */
+export async function runPromptChain(customerQuery, options = {}) {
+    const { llm = aiPrompter, maskPii: shouldMask = true, traceStore = createTraceStore() } = options;
+    const taxonomy = options.taxonomy ?? await loadTaxonomy();
+    const masked = shouldMask ? maskPii(customerQuery, options.vault) : null;
+    const thresholds = { ...DEFAULT_THRESHOLDS, ...options.thresholds };
+    const language = options.language ? normalizeLanguage(options.language) : null;
+    if (options.language && !language) {
+        throw new TypeError(`Unknown language "${options.language}"`);
+    }
+
+    const input = {
+        customerQuery: masked ? masked.text : customerQuery,
+        taxonomy,
+        thresholds,
+        language,
+        pivotLanguage: PIVOT_LANGUAGE,
+    };
+
+    // The trace keeps the (masked) query and a reference to the taxonomy,
+    // which is all a replay needs to rebuild the input.
+    const trace = traceStore && new Trace(bankingTriagePipeline.name, {
+        customerQuery: input.customerQuery,
+        taxonomy: { id: taxonomy.id, version: taxonomy.version },
+        thresholds,
+        language,
+        pivotLanguage: PIVOT_LANGUAGE,
+    });
+
+    const report = {};
+    let result;
+    try {
+        result = await runPipeline(bankingTriagePipeline, input, { llm, trace, report });
+        trace?.finish();
+    } catch (error) {
+        trace?.finish(error);
+        if (trace) error.traceId = trace.id;
+        throw error;
+    } finally {
+        await saveTrace(traceStore, trace);
+    }
+
+    if (masked) {
+        result.detailExtraction.extractedDetails = unmaskPii(result.detailExtraction.extractedDetails, masked.vault);
+        result.response = unmaskPii(result.response, masked.vault);
+        result.pii = masked.audit;
+    }
+    result.traceId = trace?.id ?? null;
+    result.latency = { totalMs: report.durationMs, sequentialMs: report.sequentialMs, steps: report.steps, overlaps: report.overlaps };
+    return result;
+}
+
+/**
+ * The flattened view of a triage run shared by the HTTP service and the
+ * batch CLI.
+ *
+ * @param {BankingTriageResult} result
+ */
+export function summarizeTriage(result) {
+    return {
+        intent: result.intent,
+        category: {
+            name: result.bestCategory.chosenCategory,
+            score: result.bestCategory.score,
+            explanation: result.bestCategory.explanation,
+        },
+        extractedDetails: result.detailExtraction.extractedDetails,
+        missingDetails: result.detailExtraction.missingDetails,
+        reply: result.response,
+        routing: result.routing,
+        escalated: result.escalation.escalate,
+        language: {
+            detected: result.language.detected,
+            name: result.language.name,
+            confidence: result.language.confidence,
+            reply: result.language.reply,
+            overridden: result.language.overridden,
+        },
+        pii: result.pii ?? null,
+        traceId: result.traceId,
+        latency: { totalMs: result.latency.totalMs, sequentialMs: result.latency.sequentialMs, overlaps: result.latency.overlaps },
+    };
 }
 
-runPromptChain("I noticed a charge of $150 on my credit card statement that I don't recognize. It was made last Friday, but I haven't made any purchases that day. Can you help me understand what this charge is for and how to dispute it if it's fraudulent?").then(response => console.log(response));
+// `node prompt-chain.js` still runs the example query.
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    (await import("dotenv")).config();
+    runPromptChain("I noticed a charge of $150 on my credit card statement that I don't recognize. It was made last Friday, but I haven't made any purchases that day. Can you help me understand what this charge is for and how to dispute it if it's fraudulent?")
+        .then(response => console.log(response))
+        .catch(error => {
+            console.error(`${error.name}${error.step ? ` in step "${error.step}"` : ""}: ${error.message}`);
+            if (error.output) console.error(error.output);
+            process.exitCode = 1;
+        });
+}
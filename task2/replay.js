@@ -0,0 +1,202 @@
+import "dotenv/config";
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { runPipeline, stepDependencies } from "./chain-engine.js";
+import { createMockLlm } from "./offline-llm.js";
+import { aiPrompter, bankingTriagePipeline } from "./prompt-chain.js";
+import { slotFillingPipeline } from "./slot-filling.js";
+import { loadTaxonomy } from "./taxonomy.js";
+import { Trace } from "./tracing.js";
+import { createTraceStore, FileTraceStore, saveTrace } from "./trace-store.js";
+
+const usage = `Usage:
+  node replay.js <trace-id | trace.json> [options]
+  node replay.js --list
+
+Re-runs a saved trace from one step onwards, optionally with a different
+prompt template or model. Steps the chosen step does not feed into reuse
+their recorded outputs, so only the affected part of the chain is re-run.
+
+Options:
+  -f, --from <step>              Step to re-run from (default: the first step
+                                 given a new template, else the first failed step)
+  -p, --template <step>=<file>   Replace a step's prompt template (repeatable)
+  -m, --model <model>            Model for the re-run steps
+      --llm <gemini|mock>        Model backend (default: gemini)
+  -t, --taxonomy <id|file>       Taxonomy to use instead of the recorded one
+      --no-save                  Do not save the replay as a new trace
+  -l, --list                     List saved trace ids, newest first`;
+
+const pipelines = Object.fromEntries([bankingTriagePipeline, slotFillingPipeline].map((pipeline) => [pipeline.name, pipeline]));
+
+// `name` and every step that depends on it, directly or not.
+export function downstreamOf(pipeline, name) {
+    const affected = new Set([name]);
+    let grew = true;
+    while (grew) {
+        grew = false;
+        for (const step of pipeline.steps) {
+            if (!affected.has(step.name) && stepDependencies(step).some((dependency) => affected.has(dependency))) {
+                affected.add(step.name);
+                grew = true;
+            }
+        }
+    }
+    return affected;
+}
+
+/**
+ * Replays a saved trace.
+ *
+ * @param {Object} trace A trace as saved by the trace store.
+ * @param {Object} options
+ * @param {string} [options.from] Step to re-run from.
+ * @param {Object<string, string>} [options.templates] New templates by step name.
+ * @param {string} [options.model] Model for the re-run steps.
+ * @param {Function} options.llm
+ * @param {Object} [options.taxonomy] Replaces the recorded taxonomy.
+ * @returns {Promise<{ from: string, rerun: string[], outputs: Object, trace: Trace }>}
+ */
+export async function replayTrace(trace, { from, templates = {}, model, llm, taxonomy }) {
+    const pipeline = pipelines[trace.pipeline];
+    if (!pipeline) throw new Error(`Unknown pipeline "${trace.pipeline}" in trace ${trace.id}`);
+
+    for (const name of Object.keys(templates)) {
+        if (!pipeline.steps.some((step) => step.name === name)) throw new Error(`Pipeline has no step "${name}"`);
+    }
+
+    const start = from
+        ?? pipeline.steps.find((step) => templates[step.name])?.name
+        ?? trace.steps.find((step) => step.status === "error")?.name;
+    if (!start || !pipeline.steps.some((step) => step.name === start)) {
+        throw new Error(start ? `Pipeline has no step "${start}"` : "Nothing to replay: pass --from or --template");
+    }
+
+    const rerun = downstreamOf(pipeline, start);
+    const replayed = {
+        ...pipeline,
+        steps: pipeline.steps.map((step) => ({
+            ...step,
+            ...(templates[step.name] ? { template: templates[step.name] } : {}),
+            ...(model && rerun.has(step.name) ? { model } : {}),
+        })),
+    };
+
+    // Recorded outputs are reused for every step outside the re-run set that
+    // finished last time; anything without a usable output runs again.
+    const reuse = {};
+    for (const step of trace.steps) {
+        if (!rerun.has(step.name) && ["ok", "reused", "skipped"].includes(step.status)) reuse[step.name] = step.output;
+    }
+
+    const input = { ...trace.input, taxonomy: taxonomy ?? await loadTaxonomy(trace.input.taxonomy.id) };
+    const replayTraceRecord = new Trace(pipeline.name, trace.input, {
+        replayOf: trace.id,
+        from: start,
+        templates: Object.keys(templates),
+        model: model ?? null,
+    });
+
+    try {
+        const outputs = await runPipeline(replayed, input, { llm, trace: replayTraceRecord, reuse });
+        replayTraceRecord.finish();
+        return { from: start, rerun: [...rerun], outputs, trace: replayTraceRecord };
+    } catch (error) {
+        replayTraceRecord.finish(error);
+        error.replay = replayTraceRecord;
+        throw error;
+    }
+}
+
+const show = (value) => (typeof value === "string" ? value.trim() : JSON.stringify(value, null, 2));
+
+function printComparison(original, replay) {
+    const before = new Map(original.steps.map((step) => [step.name, step]));
+    for (const step of replay.trace.steps) {
+        if (step.status === "reused") {
+            console.log(`= ${step.name} (reused)`);
+            continue;
+        }
+
+        const old = before.get(step.name);
+        const changed = show(old?.output ?? old?.error ?? null) !== show(step.output ?? step.error);
+        console.log(`${changed ? "~" : "="} ${step.name} (${step.status}, ${step.latencyMs} ms, ${step.attempts.length} attempt(s))`);
+        if (changed) {
+            console.log(`  before: ${show(old?.output ?? old?.error ?? null).replace(/\n/g, "\n          ")}`);
+            console.log(`  after:  ${show(step.output ?? step.error).replace(/\n/g, "\n          ")}`);
+        }
+    }
+}
+
+async function loadTrace(store, ref) {
+    if (ref.endsWith(".json")) return JSON.parse(await readFile(ref, "utf8"));
+    const trace = await store.get(ref);
+    if (!trace) throw new Error(`No trace "${ref}" in ${store.directory}`);
+    return trace;
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            from: { type: "string", short: "f" },
+            template: { type: "string", short: "p", multiple: true, default: [] },
+            model: { type: "string", short: "m" },
+            llm: { type: "string", default: "gemini" },
+            taxonomy: { type: "string", short: "t" },
+            "no-save": { type: "boolean" },
+            list: { type: "boolean", short: "l" },
+            help: { type: "boolean", short: "h" },
+        },
+    });
+
+    const store = createTraceStore() ?? new FileTraceStore(process.env.TRIAGE_TRACE_DIR || "data/traces");
+
+    if (values.list) {
+        (await store.list()).forEach((id) => console.log(id));
+        return;
+    }
+    if (values.help || positionals.length !== 1) {
+        console.log(usage);
+        process.exitCode = values.help ? 0 : 1;
+        return;
+    }
+    if (!["gemini", "mock"].includes(values.llm)) throw new Error("--llm must be gemini or mock");
+
+    const trace = await loadTrace(store, positionals[0]);
+    const templates = {};
+    for (const option of values.template) {
+        const [name, file] = option.split("=");
+        if (!name || !file) throw new Error(`--template expects <step>=<file>, got "${option}"`);
+        templates[name] = await readFile(file, "utf8");
+    }
+
+    const taxonomy = values.taxonomy ? await loadTaxonomy(values.taxonomy) : undefined;
+    const llm = values.llm === "mock"
+        ? createMockLlm({ taxonomy: taxonomy ?? await loadTaxonomy(trace.input.taxonomy.id), message: trace.input.customerQuery ?? trace.input.answer })
+        : aiPrompter;
+
+    let replay;
+    try {
+        replay = await replayTrace(trace, { from: values.from, templates, model: values.model, llm, taxonomy });
+    } catch (error) {
+        if (!error.replay) throw error;
+        replay = { trace: error.replay };
+        process.exitCode = 1;
+    }
+
+    console.log(`Replaying ${trace.id} (${trace.pipeline})`);
+    printComparison(trace, replay);
+    if (!values["no-save"]) {
+        await saveTrace(store, replay.trace);
+        console.log(`\nSaved replay as trace ${replay.trace.id}`);
+    }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main().catch((error) => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,146 @@
+// A small JSON Schema validator covering the keywords the chain schemas use:
+// type, enum, const, properties, required, additionalProperties, items,
+// minItems, maxItems, minLength, maxLength, pattern, minimum, maximum,
+// anyOf, oneOf and default. Unknown keywords are ignored.
+//
+// One non-standard keyword, `trim`, trims a string before it is checked;
+// a blank trimmed string then counts as missing.
+//
+// validateSchema is copied from task1/utils/schemaValidator.js: each task is
+// its own package with no shared code, and the chain engine needs the same
+// lenient checks. A fix to one copy belongs in the other too. task1's
+// checkSchema, which rejects unsupported keywords up front, is not needed
+// here because the chain schemas are written in this repo.
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+};
+
+const joinPath = (path, key) => {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+};
+
+const prepare = (schema, value) => {
+  if (schema.trim && typeof value === "string") {
+    const trimmed = value.trim();
+    return trimmed === "" ? undefined : trimmed;
+  }
+  return value;
+};
+
+function check(schema, value, path, errors) {
+  const field = path || "(root)";
+  const fail = (message) => {
+    errors.push({ field, message });
+    return value;
+  };
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      return fail(`must be of type ${types.join(" or ")}`);
+    }
+  }
+
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    return fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.enum && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+    return fail(`must be one of: ${schema.enum.map((option) => JSON.stringify(option)).join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+      fail(`must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value = value.map((item, index) => check(schema.items, prepare(schema.items, item), joinPath(path, index), errors));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties ?? {};
+    const result = {};
+
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) continue;
+      if (schema.additionalProperties === false) {
+        errors.push({ field: joinPath(path, key), message: "is not allowed" });
+      } else if (typeof schema.additionalProperties === "object") {
+        result[key] = check(schema.additionalProperties, item, joinPath(path, key), errors);
+      } else {
+        result[key] = item;
+      }
+    }
+
+    for (const key of schema.required ?? []) {
+      if (!properties[key] && value[key] === undefined) {
+        errors.push({ field: joinPath(path, key), message: "is required" });
+      }
+    }
+
+    for (const [key, propertySchema] of Object.entries(properties)) {
+      let item = prepare(propertySchema, value[key]);
+      if (item === undefined && propertySchema.default !== undefined) {
+        item = structuredClone(propertySchema.default);
+      }
+      if (item === undefined) {
+        if (schema.required?.includes(key)) {
+          errors.push({ field: joinPath(path, key), message: "is required" });
+        }
+        continue;
+      }
+      result[key] = check(propertySchema, item, joinPath(path, key), errors);
+    }
+
+    value = result;
+  }
+
+  for (const keyword of ["anyOf", "oneOf"]) {
+    if (!schema[keyword]) continue;
+    const passing = schema[keyword].filter((option) => validateSchema(option, value, path).errors.length === 0);
+    if (keyword === "anyOf" && passing.length === 0) fail("must match at least one allowed schema");
+    if (keyword === "oneOf" && passing.length !== 1) fail("must match exactly one allowed schema");
+  }
+
+  return value;
+}
+
+// Returns { value, errors }: value has strings trimmed and defaults filled in,
+// errors is a list of { field, message } (empty when the value is valid).
+export function validateSchema(schema, value, path = "") {
+  const errors = [];
+  const result = check(schema, prepare(schema, value), path, errors);
+  return { value: result, errors };
+}
@@ -0,0 +1,141 @@
+import "dotenv/config";
+import { fileURLToPath } from "node:url";
+import express from "express";
+import { runPromptChain, summarizeTriage } from "./prompt-chain.js";
+import { ChainError, LlmError, StepOutputError } from "./chain-errors.js";
+import { getConversation, handleConversationMessage } from "./slot-filling.js";
+import { CONVERSATION_ID, createSessionStore } from "./session-store.js";
+import { normalizeLanguage } from "./languages.js";
+
+// POST /triage { "message": "..." } runs the triage chain on one customer
+// message. POST /conversations does the same for the first message of a
+// conversation and returns its generated conversationId; each reply then goes
+// to POST /conversations/:id/messages, which keeps asking for missing details.
+// GET /conversations/:id shows where a conversation stands, with personal
+// data still masked. The POST routes accept an optional "language" (code or
+// name) that forces the reply language. Errors use the same
+// { error: { code, message, ... } } shape as the task1 API.
+
+const MAX_MESSAGE_LENGTH = 5000;
+
+const sendError = (res, status, code, message, extra = {}) =>
+    res.status(status).json({ error: { code, message, ...extra } });
+
+const readMessage = (req, res) => {
+    const message = typeof req.body?.message === "string" ? req.body.message.trim() : "";
+
+    if (!message) {
+        sendError(res, 400, "VALIDATION_FAILED", "message is required");
+        return null;
+    }
+    if (message.length > MAX_MESSAGE_LENGTH) {
+        sendError(res, 400, "VALIDATION_FAILED", `message must be at most ${MAX_MESSAGE_LENGTH} characters long`);
+        return null;
+    }
+    return message;
+};
+
+// The optional `language` field forces the language of the reply.
+const readLanguage = (req, res) => {
+    const { language } = req.body ?? {};
+    if (language === undefined || language === null) return { ok: true, language: undefined };
+    if (!normalizeLanguage(language)) {
+        sendError(res, 400, "VALIDATION_FAILED", "language must be a language code or name");
+        return { ok: false };
+    }
+    return { ok: true, language };
+};
+
+// `options` is passed through to runPromptChain (e.g. a different llm);
+// `options.sessionStore` replaces the store configured by the environment.
+export function createApp(options = {}) {
+    const { sessionStore = createSessionStore(), ...chainOptions } = options;
+    const app = express();
+
+    app.use(express.json({ limit: "100kb" }));
+
+    app.post("/triage", async (req, res, next) => {
+        const message = readMessage(req, res);
+        if (!message) return;
+        const { ok, language } = readLanguage(req, res);
+        if (!ok) return;
+
+        try {
+            const result = await runPromptChain(message, { ...chainOptions, language });
+            res.status(200).json(summarizeTriage(result));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    app.param("conversationId", (req, res, next, id) => {
+        if (!CONVERSATION_ID.test(id)) {
+            return sendError(res, 400, "VALIDATION_FAILED", "conversation id may only contain letters, digits, _ and - (max 128)");
+        }
+        next();
+    });
+
+    const conversationTurn = (status) => async (req, res, next) => {
+        const message = readMessage(req, res);
+        if (!message) return;
+        const { ok, language } = readLanguage(req, res);
+        if (!ok) return;
+
+        try {
+            const turn = await handleConversationMessage(req.params.conversationId ?? null, message, {
+                ...chainOptions,
+                language,
+                store: sessionStore,
+            });
+            if (!turn) {
+                return sendError(res, 404, "NOT_FOUND", "Conversation not found");
+            }
+            res.status(status).json(turn);
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    app.post("/conversations", conversationTurn(201));
+    app.post("/conversations/:conversationId/messages", conversationTurn(200));
+
+    app.get("/conversations/:conversationId", async (req, res, next) => {
+        try {
+            const conversation = await getConversation(req.params.conversationId, { store: sessionStore });
+            if (!conversation) {
+                return sendError(res, 404, "NOT_FOUND", "Conversation not found");
+            }
+            res.status(200).json(conversation);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    app.use((req, res) => sendError(res, 404, "ROUTE_NOT_FOUND", `Cannot ${req.method} ${req.path}`));
+
+    app.use((error, req, res, next) => {
+        if (error.type === "entity.parse.failed") {
+            return sendError(res, 400, "INVALID_JSON", "Request body is not valid JSON");
+        }
+        if (error instanceof StepOutputError) {
+            return sendError(res, 502, "STEP_OUTPUT_INVALID", error.message, { step: error.step, traceId: error.traceId });
+        }
+        if (error instanceof LlmError) {
+            return sendError(res, 502, "UPSTREAM_ERROR", "Error generating response", { step: error.step, traceId: error.traceId });
+        }
+
+        console.error(error);
+        const code = error instanceof ChainError ? "CHAIN_ERROR" : "INTERNAL_ERROR";
+        sendError(res, 500, code, "Something went wrong");
+    });
+
+    return app;
+}
+
+const PORT = process.env.PORT || 3000;
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    createApp().listen(PORT, () => {
+        console.log(`Triage service listening on port ${PORT}`);
+    });
+}
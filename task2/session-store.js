@@ -0,0 +1,74 @@
+import { mkdir, readFile, rename, rm, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+// Conversation sessions for slot filling, keyed by conversation id. Both
+// stores share the same async interface: get, save and delete.
+//
+// The file store keeps one JSON file per conversation so a reply that
+// arrives hours later (or after a restart) resumes where it left off.
+// Sessions hold the PII vault for their conversation, so the directory
+// contains customer data and must be protected like any other.
+
+export const CONVERSATION_ID = /^[A-Za-z0-9_-]{1,128}$/;
+
+export class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async get(id) {
+    const session = this.sessions.get(id);
+    return session ? structuredClone(session) : null;
+  }
+
+  async save(session) {
+    this.sessions.set(session.id, structuredClone(session));
+    return session;
+  }
+
+  async delete(id) {
+    return this.sessions.delete(id);
+  }
+}
+
+export class FileSessionStore {
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+  }
+
+  fileFor(id) {
+    if (!CONVERSATION_ID.test(id)) throw new Error(`Invalid conversation id "${id}"`);
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  async get(id) {
+    try {
+      return JSON.parse(await readFile(this.fileFor(id), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  // Written to a temporary file first so a crash never leaves half a session.
+  async save(session) {
+    const file = this.fileFor(session.id);
+    await mkdir(this.directory, { recursive: true });
+    await writeFile(`${file}.tmp`, JSON.stringify(session, null, 2));
+    await rename(`${file}.tmp`, file);
+    return session;
+  }
+
+  async delete(id) {
+    const file = this.fileFor(id);
+    const existed = (await this.get(id)) !== null;
+    await rm(file, { force: true });
+    return existed;
+  }
+}
+
+export function createSessionStore(type = process.env.TRIAGE_SESSION_STORE || "file") {
+  if (type === "memory") return new MemorySessionStore();
+  if (type === "file") return new FileSessionStore(process.env.TRIAGE_SESSION_DIR || "data/sessions");
+  throw new Error(`Unknown session store: ${type}`);
+}
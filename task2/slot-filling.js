@@ -0,0 +1,338 @@
+import { randomUUID } from "node:crypto";
+import { runPipeline } from "./chain-engine.js";
+import { maskKnownPii, maskPii, PiiVault, unmaskPii } from "./pii.js";
+import { aiPrompter, runPromptChain } from "./prompt-chain.js";
+import { findCategory, loadTaxonomy } from "./taxonomy.js";
+import { Trace } from "./tracing.js";
+import { createTraceStore, saveTrace } from "./trace-store.js";
+
+// Multi-turn follow-up for details the first triage run could not find.
+//
+// The first message of a conversation runs the full triage chain. Its reply
+// asks for the most critical missing detail. Each later message runs the
+// slot-filling pipeline below: pull any of the still-missing details out of
+// the answer, merge them into what was collected, re-check against the
+// category's required details and either ask for the next one or close the
+// conversation with a ticket. After `maxTurns` follow-up answers the ticket
+// is emitted anyway, marked incomplete. Escalated triage results close the
+// conversation at once, without asking for anything.
+//
+// Sessions store masked text only, plus the conversation's PII vault so
+// placeholders stay stable across turns and can be restored in the ticket.
+// Conversation ids are generated here, never chosen by the caller, so the id
+// is only known to whoever started the conversation.
+
+// TRIAGE_MAX_TURNS must be a whole number of follow-up answers; 0 closes
+// every conversation after the first message. Anything else stops startup.
+function readMaxTurns(value = process.env.TRIAGE_MAX_TURNS) {
+    if (value === undefined || value.trim() === "") return 4;
+    if (!/^\d+$/.test(value.trim())) {
+        throw new Error(`TRIAGE_MAX_TURNS must be a non-negative integer, got "${value}"`);
+    }
+    return Number(value);
+}
+
+export const DEFAULT_MAX_TURNS = readMaxTurns();
+
+/**
+ * @typedef {Object} Ticket
+ * @property {string} conversationId
+ * @property {boolean} complete False when the turn limit was hit first.
+ * @property {boolean} escalated True when triage was not confident enough and
+ *   the conversation went straight to a human.
+ * @property {string} intent
+ * @property {{ name: string, score: number }} category
+ * @property {{ team: string, priority: string }} routing
+ * @property {Object<string, any>} details Collected details, PII restored
+ *   unless the ticket was built with `restorePii: false`.
+ * @property {string[]} missingDetails Required details never provided.
+ * @property {number} turns Customer messages in the conversation.
+ * @property {string} createdAt
+ * @property {string} closedAt
+ */
+
+const hasValue = (value) => value !== undefined && value !== null && String(value).trim() !== "";
+
+// The slots a conversation has to fill: the category's required details,
+// or the model's own missing list when the category requires nothing.
+const slotsFor = (category, modelMissing) =>
+    category?.requiredDetails.length
+        ? category.requiredDetails
+        : modelMissing.map((key) => ({ key }));
+
+const describeSlots = (slots) =>
+    slots.map(({ key, description }) => (description ? `- ${key}: ${description}` : `- ${key}`)).join("\n") || "None.";
+
+const describeCollected = (details) =>
+    Object.entries(details).map(([key, value]) => `- ${key}: ${value}`).join("\n") || "Nothing yet.";
+
+function nextAction({ status, missingDetails }, { input }) {
+    const { session } = input;
+    if (status === "completed") {
+        return `All required details are now collected. Thank the customer, briefly confirm the details above and tell them their request has been passed to the ${session.routing.team} team.`;
+    }
+    if (status === "incomplete") {
+        return `Some details are still missing but no more questions may be asked. Thank the customer and tell them a member of the ${session.routing.team} team will contact them to finish the request.`;
+    }
+    const next = session.slots.find((slot) => slot.key === missingDetails[0]);
+    return `Still missing:\n${describeSlots(session.slots.filter((slot) => missingDetails.includes(slot.key)))}\nThank the customer briefly and ask one polite question for "${next.key}"${next.description ? ` (${next.description})` : ""}.`;
+}
+
+export const slotFillingPipeline = {
+    name: "slot-filling",
+    steps: [
+        {
+            name: "slotExtraction",
+            inputs: {
+                category: "input.session.category.name",
+                missing: { from: "input.session", format: (session) => describeSlots(session.slots.filter((slot) => session.missingDetails.includes(slot.key))) },
+                collected: { from: "input.session.extractedDetails", format: describeCollected },
+                lastQuestion: "input.session.lastReply",
+                answer: "input.answer",
+            },
+            output: "json",
+            schema: {
+                type: "object",
+                required: ["extractedDetails"],
+                properties: {
+                    extractedDetails: {
+                        type: "object",
+                        additionalProperties: { type: ["string", "number", "boolean", "null"] },
+                        default: {},
+                    },
+                },
+            },
+            template: `
+    You are a bank assistant collecting details for a customer request in the category "{{category}}".\n
+    Details still needed:\n
+    {{missing}}\n
+    Details already collected:\n
+    {{collected}}\n
+    The assistant last said to the customer:\n
+    \`\`\`\n
+    {{lastQuestion}}\n
+    \`\`\`\n
+    The customer replied:\n
+    \`\`\`\n
+    {{answer}}\n
+    \`\`\`\n
+    Extract every needed detail the reply contains, and any correction to a collected detail, using exactly the keys listed above. The reply may be in any language; keep the keys in English.\n
+    Values in square brackets such as [CARD_1] or [NAME_1] stand in for redacted personal data. Copy them exactly.\n
+    Let your output be in this json format "extractedDetails":{key:value}. Use an empty object if the reply contains none of them.
+    `,
+        },
+        {
+            name: "progress",
+            inputs: { session: "input.session", extraction: "steps.slotExtraction", maxTurns: "input.maxTurns" },
+            run: ({ session, extraction, maxTurns }) => {
+                const extractedDetails = { ...session.extractedDetails };
+                for (const [key, value] of Object.entries(extraction.extractedDetails)) {
+                    if (hasValue(value)) extractedDetails[key] = value;
+                }
+
+                const missingDetails = session.slots.map((slot) => slot.key).filter((key) => !hasValue(extractedDetails[key]));
+                let status = "collecting";
+                if (!missingDetails.length) status = "completed";
+                else if (session.followUps + 1 >= maxTurns) status = "incomplete";
+
+                return { extractedDetails, missingDetails, status };
+            },
+        },
+        {
+            name: "reply",
+            inputs: {
+                category: "input.session.category.name",
+                collected: { from: "steps.progress.extractedDetails", format: describeCollected },
+                answer: "input.answer",
+                action: { from: "steps.progress", format: nextAction },
+                language: "input.session.language.replyName",
+            },
+            template: `
+    You are the banking assistant continuing a conversation about a "{{category}}" request.\n
+    The customer just wrote:\n
+    \`\`\`\n
+    {{answer}}\n
+    \`\`\`\n
+    Details collected so far:\n
+    {{collected}}\n
+    {{action}}\n
+    Keep the reply concise and polite (≤ 50 words) and write it in {{language}}.\n
+    Values in square brackets such as [CARD_1] or [NAME_1] stand in for redacted personal data. Copy them exactly if you mention them and never ask the customer to repeat them.
+    `,
+        },
+    ],
+};
+
+const now = () => new Date().toISOString();
+
+export function buildTicket(session, { restorePii = true } = {}) {
+    const vault = new PiiVault(session.vault);
+    return {
+        conversationId: session.id,
+        complete: session.status === "completed",
+        escalated: session.status === "escalated",
+        intent: session.intent,
+        category: session.category,
+        language: session.language.detected,
+        routing: { team: session.routing.team, priority: session.routing.priority },
+        details: restorePii ? unmaskPii(session.extractedDetails, vault) : session.extractedDetails,
+        missingDetails: session.missingDetails,
+        turns: session.transcript.filter((turn) => turn.role === "customer").length,
+        createdAt: session.createdAt,
+        closedAt: session.updatedAt,
+    };
+}
+
+// What callers get back after every turn. The reply and details have their
+// PII restored unless `restorePii` is false; the ticket is only present once
+// the conversation closed.
+const turnResult = (session, reply, { restorePii = true } = {}) => ({
+    conversationId: session.id,
+    status: session.status,
+    reply,
+    extractedDetails: restorePii ? unmaskPii(session.extractedDetails, new PiiVault(session.vault)) : session.extractedDetails,
+    missingDetails: session.missingDetails,
+    ticket: session.status === "collecting" ? null : buildTicket(session, { restorePii }),
+});
+
+const initialStatus = (escalated, missingDetails, maxTurns) => {
+    if (escalated) return "escalated";
+    if (!missingDetails.length) return "completed";
+    return maxTurns > 0 ? "collecting" : "incomplete";
+};
+
+async function startConversation(id, message, { store, llm, taxonomy, maxTurns, traceStore, language }) {
+    const vault = new PiiVault();
+    const result = await runPromptChain(message, { llm, taxonomy, vault, traceStore, language });
+    const category = findCategory(taxonomy, result.bestCategory.chosenCategory);
+
+    const extractedDetails = maskKnownPii(result.detailExtraction.extractedDetails, vault);
+    const slots = slotsFor(category, result.detailExtraction.missingDetails);
+    const missingDetails = slots.map((slot) => slot.key).filter((key) => !hasValue(extractedDetails[key]));
+    const reply = maskKnownPii(result.response, vault);
+    const createdAt = now();
+
+    const session = {
+        id,
+        status: initialStatus(result.escalation.escalate, missingDetails, maxTurns),
+        intent: result.intent,
+        category: { name: result.bestCategory.chosenCategory, score: result.bestCategory.score },
+        language: { detected: result.language.detected, reply: result.language.reply, replyName: result.language.replyName },
+        routing: result.routing,
+        slots,
+        extractedDetails,
+        missingDetails,
+        followUps: 0,
+        lastReply: reply,
+        transcript: [
+            { role: "customer", text: maskPii(message, vault).text, at: createdAt },
+            { role: "assistant", text: reply, at: createdAt },
+        ],
+        vault: vault.toJSON(),
+        traceIds: [result.traceId].filter(Boolean),
+        createdAt,
+        updatedAt: createdAt,
+    };
+
+    await store.save(session);
+    return turnResult(session, result.response);
+}
+
+async function continueConversation(session, message, { store, llm, taxonomy, maxTurns, traceStore }) {
+    const vault = new PiiVault(session.vault);
+    const answer = maskPii(message, vault).text;
+
+    // The vault holds the real values, so it stays out of the trace.
+    const { vault: _, ...maskedSession } = session;
+    const trace = traceStore && new Trace(slotFillingPipeline.name, {
+        session: maskedSession,
+        answer,
+        taxonomy: { id: taxonomy.id, version: taxonomy.version },
+        maxTurns,
+    }, { conversationId: session.id });
+
+    let steps;
+    try {
+        steps = await runPipeline(slotFillingPipeline, { session, answer, taxonomy, maxTurns }, { llm, trace });
+        trace?.finish();
+    } catch (error) {
+        trace?.finish(error);
+        if (trace) error.traceId = trace.id;
+        throw error;
+    } finally {
+        await saveTrace(traceStore, trace);
+    }
+    const at = now();
+
+    Object.assign(session, steps.progress, {
+        followUps: session.followUps + 1,
+        lastReply: steps.reply,
+        vault: vault.toJSON(),
+        traceIds: [...(session.traceIds ?? []), trace?.id].filter(Boolean),
+        updatedAt: at,
+    });
+    session.transcript.push({ role: "customer", text: answer, at }, { role: "assistant", text: steps.reply, at });
+
+    await store.save(session);
+    return turnResult(session, unmaskPii(steps.reply, vault));
+}
+
+// Messages for the same conversation are handled one at a time so two quick
+// replies cannot both read the same session and overwrite each other.
+const inFlight = new Map();
+
+const serialized = (id, task) => {
+    const run = (inFlight.get(id) ?? Promise.resolve()).then(task);
+    const settled = run.catch(() => {});
+    inFlight.set(id, settled);
+    settled.then(() => {
+        if (inFlight.get(id) === settled) inFlight.delete(id);
+    });
+    return run;
+};
+
+/**
+ * Handles one customer message in a conversation. Without an id a new
+ * conversation is started under a generated one. A conversation that already
+ * closed starts a fresh triage under its id; otherwise the message is treated
+ * as the answer to the last question. Returns null for an unknown id.
+ *
+ * @param {string | null} conversationId
+ * @param {string} message
+ * @param {{ store: Object, llm?: Function, taxonomy?: Object, maxTurns?: number, traceStore?: Object | null, language?: string }} options
+ *   `language` forces the reply language of a new conversation; later turns
+ *   keep the language the conversation started in.
+ */
+export async function handleConversationMessage(conversationId, message, options) {
+    const context = {
+        store: options.store,
+        llm: options.llm ?? aiPrompter,
+        taxonomy: options.taxonomy ?? await loadTaxonomy(),
+        maxTurns: options.maxTurns ?? DEFAULT_MAX_TURNS,
+        traceStore: options.traceStore === undefined ? createTraceStore() : options.traceStore,
+        language: options.language,
+    };
+
+    if (!conversationId) {
+        const id = randomUUID();
+        return serialized(id, () => startConversation(id, message, context));
+    }
+
+    return serialized(conversationId, async () => {
+        const session = await context.store.get(conversationId);
+        if (!session) return null;
+        if (session.status === "collecting") {
+            return continueConversation(session, message, context);
+        }
+        return startConversation(conversationId, message, context);
+    });
+}
+
+// Where a conversation stands, as stored: the reply, details and ticket keep
+// their PII placeholders, since whoever asks has not proven they are the
+// customer.
+export async function getConversation(conversationId, { store }) {
+    const session = await store.get(conversationId);
+    if (!session) return null;
+    return turnResult(session, session.lastReply, { restorePii: false });
+}
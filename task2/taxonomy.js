@@ -0,0 +1,177 @@
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+// Category taxonomies live in taxonomies/<id>.json. Categories nest through
+// `subcategories` and are addressed by their path, e.g. "Card Services > Lost
+// Card". A subcategory inherits `team` and `priority` from its parent unless
+// it sets its own, and collects its parent's `requiredDetails` plus its own.
+
+export const TAXONOMY_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "taxonomies");
+export const DEFAULT_TAXONOMY = "banking";
+export const PATH_SEPARATOR = " > ";
+export const PRIORITIES = ["low", "normal", "high", "urgent"];
+
+/**
+ * @typedef {Object} RequiredDetail
+ * @property {string} key English camelCase key used in extractedDetails.
+ * @property {string} [description]
+ *
+ * @typedef {Object} Category
+ * @property {string} path Full path, e.g. "Card Services > Lost Card".
+ * @property {string} name
+ * @property {string | null} parent Path of the parent category.
+ * @property {string} description
+ * @property {string[]} examples
+ * @property {string} team
+ * @property {string} priority One of PRIORITIES.
+ * @property {RequiredDetail[]} requiredDetails Inherited ones first.
+ *
+ * @typedef {Object} Taxonomy
+ * @property {string} id
+ * @property {string} name
+ * @property {number} version
+ * @property {Category[]} categories Every node, parents before children.
+ * @property {{ team: string, priority: string }} escalation Where messages go
+ *   when the model is not confident about any category.
+ */
+
+const KEY_PATTERN = /^[a-z][A-Za-z0-9]*$/;
+
+const mergeDetails = (inherited, own) => {
+  const byKey = new Map(inherited.map((detail) => [detail.key, detail]));
+  for (const detail of own) byKey.set(detail.key, detail);
+  return [...byKey.values()];
+};
+
+function flatten(nodes, parent, defaults, problems, out) {
+  nodes.forEach((node, index) => {
+    const where = parent ? `${parent.path}${PATH_SEPARATOR}[${index}]` : `categories[${index}]`;
+
+    if (typeof node?.name !== "string" || node.name.trim() === "" || node.name.includes(">")) {
+      problems.push(`${where}: name must be a non-empty string without ">"`);
+      return;
+    }
+
+    const name = node.name.trim();
+    const categoryPath = parent ? `${parent.path}${PATH_SEPARATOR}${name}` : name;
+    const priority = node.priority ?? parent?.priority ?? defaults.priority ?? "normal";
+    const ownDetails = node.requiredDetails ?? [];
+
+    if (!PRIORITIES.includes(priority)) {
+      problems.push(`${categoryPath}: priority must be one of ${PRIORITIES.join(", ")}`);
+    }
+    ownDetails
+      .filter((detail) => !KEY_PATTERN.test(detail?.key ?? ""))
+      .forEach((detail) => problems.push(`${categoryPath}: required detail key "${detail?.key}" must be camelCase`));
+
+    const category = {
+      path: categoryPath,
+      name,
+      parent: parent?.path ?? null,
+      description: node.description ?? "",
+      examples: node.examples ?? [],
+      team: node.team ?? parent?.team ?? defaults.team ?? null,
+      priority,
+      requiredDetails: mergeDetails(parent?.requiredDetails ?? defaults.requiredDetails ?? [], ownDetails),
+    };
+
+    out.push(category);
+    flatten(node.subcategories ?? [], category, defaults, problems, out);
+  });
+}
+
+/**
+ * Validates a raw taxonomy document and flattens it.
+ *
+ * @returns {Taxonomy}
+ * @throws {Error} listing every problem found.
+ */
+export function buildTaxonomy(document) {
+  const problems = [];
+  const categories = [];
+
+  if (document?.escalation?.priority && !PRIORITIES.includes(document.escalation.priority)) {
+    problems.push(`escalation: priority must be one of ${PRIORITIES.join(", ")}`);
+  }
+  if (!Array.isArray(document?.categories) || document.categories.length === 0) {
+    problems.push("categories must be a non-empty array");
+  } else {
+    flatten(document.categories, null, document.defaults ?? {}, problems, categories);
+  }
+
+  const seen = new Set();
+  for (const { path: categoryPath } of categories) {
+    if (seen.has(categoryPath)) problems.push(`${categoryPath}: duplicate category`);
+    seen.add(categoryPath);
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid taxonomy "${document?.id ?? "unknown"}":\n- ${problems.join("\n- ")}`);
+  }
+
+  return {
+    id: document.id ?? "custom",
+    name: document.name ?? document.id ?? "custom",
+    version: document.version ?? 1,
+    categories,
+    escalation: {
+      team: document.escalation?.team ?? document.defaults?.team ?? null,
+      priority: document.escalation?.priority ?? "high",
+    },
+  };
+}
+
+const cache = new Map();
+
+/**
+ * Loads a taxonomy by id (a file in taxonomies/) or by path to a JSON file.
+ * Results are cached per resolved path.
+ */
+export async function loadTaxonomy(idOrPath = process.env.TRIAGE_TAXONOMY || DEFAULT_TAXONOMY) {
+  const filePath = idOrPath.endsWith(".json") ? path.resolve(idOrPath) : path.join(TAXONOMY_DIR, `${idOrPath}.json`);
+
+  if (!cache.has(filePath)) {
+    const loading = readFile(filePath, "utf8").then((text) => buildTaxonomy(JSON.parse(text)));
+    loading.catch(() => cache.delete(filePath));
+    cache.set(filePath, loading);
+  }
+  return cache.get(filePath);
+}
+
+export const categoryPaths = (taxonomy) => taxonomy.categories.map((category) => category.path);
+
+export const findCategory = (taxonomy, categoryPath) =>
+  taxonomy.categories.find((category) => category.path === categoryPath) ?? null;
+
+// The category list as shown to the model in the category-mapping step.
+export function describeCategories(taxonomy) {
+  return taxonomy.categories
+    .map((category) => {
+      const lines = [`- ${category.path}: ${category.description}`];
+      if (category.examples.length) {
+        lines.push(`  Examples: ${category.examples.map((example) => JSON.stringify(example)).join("; ")}`);
+      }
+      return lines.join("\n");
+    })
+    .join("\n");
+}
+
+export function describeRequiredDetails(category) {
+  if (!category?.requiredDetails.length) return "";
+  return category.requiredDetails
+    .map(({ key, description }) => (description ? `- ${key}: ${description}` : `- ${key}`))
+    .join("\n");
+}
+
+// Where a triaged message should go.
+export function routingFor(taxonomy, categoryPath) {
+  const category = findCategory(taxonomy, categoryPath);
+  if (!category) return null;
+  return {
+    category: category.path,
+    team: category.team,
+    priority: category.priority,
+    requiredDetails: category.requiredDetails.map((detail) => detail.key),
+  };
+}
@@ -0,0 +1,61 @@
+import { mkdir, readdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+// Traces are saved one JSON file per run under TRIAGE_TRACE_DIR (default
+// data/traces). Prompts in traces are the masked ones, so no customer PII
+// is written here. Set TRIAGE_TRACING=off to stop recording.
+
+const TRACE_ID = /^[A-Za-z0-9_-]{1,128}$/;
+
+export class FileTraceStore {
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+  }
+
+  fileFor(id) {
+    if (!TRACE_ID.test(id)) throw new Error(`Invalid trace id "${id}"`);
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  async save(trace) {
+    const record = typeof trace.toJSON === "function" ? trace.toJSON() : trace;
+    await mkdir(this.directory, { recursive: true });
+    await writeFile(this.fileFor(record.id), JSON.stringify(record, null, 2));
+    return record.id;
+  }
+
+  async get(id) {
+    try {
+      return JSON.parse(await readFile(this.fileFor(id), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  // Newest first; ids start with the run's timestamp.
+  async list() {
+    try {
+      const files = await readdir(this.directory);
+      return files.filter((file) => file.endsWith(".json")).map((file) => file.slice(0, -5)).sort().reverse();
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+  }
+}
+
+export function createTraceStore() {
+  if (process.env.TRIAGE_TRACING === "off") return null;
+  return new FileTraceStore(process.env.TRIAGE_TRACE_DIR || "data/traces");
+}
+
+// Saves a finished trace without ever failing the run that produced it.
+export async function saveTrace(store, trace) {
+  if (!store || !trace) return;
+  try {
+    await store.save(trace);
+  } catch (error) {
+    console.error(`Could not save trace ${trace.id}: ${error.message}`);
+  }
+}
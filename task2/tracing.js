@@ -0,0 +1,117 @@
+import { randomUUID } from "node:crypto";
+import { performance } from "node:perf_hooks";
+
+// A trace records one pipeline run step by step: the rendered prompt, the
+// model and config used, every raw reply (repairs included), the parsed
+// output, latency, token usage and any error. runPipeline fills it in when
+// given one; callers save it with a trace store afterwards.
+
+const addUsage = (total, usage) => {
+  if (!usage) return total;
+  const sum = total ?? { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+  for (const key of Object.keys(sum)) sum[key] += usage[key] ?? 0;
+  return sum;
+};
+
+export const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  step: error.step ?? null,
+  ...(error.errors ? { errors: error.errors } : {}),
+});
+
+class StepRecord {
+  constructor(step, kind) {
+    this.name = step.name;
+    this.kind = kind;
+    this.status = "running";
+    this.startedAt = new Date().toISOString();
+    this.started = performance.now();
+    this.latencyMs = null;
+    this.model = step.model ?? null;
+    this.prompt = null;
+    this.attempts = [];
+    this.output = null;
+    this.usage = null;
+    this.error = null;
+  }
+
+  // One model call. The prompt is stored once on the step and again on an
+  // attempt only when it differs (i.e. for repair prompts).
+  attempt({ prompt, raw, errors = null, usage = null, model = null, config = null, latencyMs }) {
+    this.prompt ??= prompt;
+    this.model = model ?? this.model;
+    if (config) this.config = config;
+    this.usage = addUsage(this.usage, usage);
+    this.attempts.push({ ...(prompt === this.prompt ? {} : { prompt }), raw, errors, usage, latencyMs });
+  }
+
+  end(status) {
+    this.status = status;
+    this.latencyMs = Math.round(performance.now() - this.started);
+  }
+
+  succeed(output) {
+    this.output = output;
+    this.end("ok");
+  }
+
+  // Output taken from an earlier run instead of being computed again.
+  reuse(output) {
+    this.output = output;
+    this.end("reused");
+  }
+
+  // The step's `when` condition was false; `output` is its fallback.
+  skip(output) {
+    this.output = output;
+    this.end("skipped");
+  }
+
+  fail(error) {
+    this.error = serializeError(error);
+    this.end("error");
+  }
+
+  toJSON() {
+    const { started, ...record } = this;
+    return record;
+  }
+}
+
+export class Trace {
+  /**
+   * @param {string} pipeline Pipeline name.
+   * @param {Object} input JSON-safe copy of the run input, enough to replay it.
+   * @param {Object} [meta] Anything else worth keeping, e.g. { replayOf }.
+   */
+  constructor(pipeline, input, meta = {}) {
+    this.id = `${new Date().toISOString().replace(/[:.]/g, "-")}-${randomUUID().slice(0, 8)}`;
+    this.pipeline = pipeline;
+    this.input = input;
+    this.meta = meta;
+    this.status = "running";
+    this.startedAt = new Date().toISOString();
+    this.started = performance.now();
+    this.steps = [];
+  }
+
+  startStep(step, kind) {
+    const record = new StepRecord(step, kind);
+    this.steps.push(record);
+    return record;
+  }
+
+  finish(error) {
+    this.status = error ? "error" : "ok";
+    this.error = error ? serializeError(error) : null;
+    this.finishedAt = new Date().toISOString();
+    this.durationMs = Math.round(performance.now() - this.started);
+  }
+
+  toJSON() {
+    const { started, ...trace } = this;
+    const usage = this.steps.reduce((total, step) => addUsage(total, step.usage), null);
+    return { ...trace, usage, steps: this.steps.map((step) => step.toJSON()) };
+  }
+}
@@ -0,0 +1,111 @@
+import "dotenv/config";
+import { createWriteStream } from "node:fs";
+import { once } from "node:events";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { readMessages } from "./batch-input.js";
+import { mapWithConcurrency } from "./concurrency.js";
+import { runPromptChain, summarizeTriage } from "./prompt-chain.js";
+import { loadTaxonomy } from "./taxonomy.js";
+
+const usage = `Usage: node triage-batch.js <messages.csv|messages.jsonl> [options]
+
+Runs the triage chain on every message and writes one JSON line per message.
+
+Options:
+  -o, --out <file>          Output JSONL file (default: stdout)
+  -c, --concurrency <n>     Messages triaged at the same time (default: 4)
+      --field <name>        Column/key holding the message (default: message)
+      --id-field <name>     Column/key holding the record id (default: id)
+  -t, --taxonomy <id|file>  Taxonomy id or JSON file (default: $TRIAGE_TAXONOMY or banking)
+  -h, --help                Show this help`;
+
+// A `language` column/key on a record forces the language of its reply.
+const triageOne = async ({ index, id, message, record }, options) => {
+    const base = { index, id };
+    if (!message) {
+        return { ...base, ok: false, error: { name: "ValidationError", message: "message is empty" } };
+    }
+
+    const startedAt = Date.now();
+    try {
+        const result = await runPromptChain(message, { ...options, language: record.language || undefined });
+        return { ...base, ok: true, durationMs: Date.now() - startedAt, ...summarizeTriage(result) };
+    } catch (error) {
+        return {
+            ...base,
+            ok: false,
+            durationMs: Date.now() - startedAt,
+            error: { name: error.name, message: error.message, step: error.step ?? null, traceId: error.traceId ?? null },
+        };
+    }
+};
+
+/**
+ * Triages every message in `inputPath`, writing each result as soon as it is
+ * ready, so an interrupted overnight run keeps everything done so far.
+ * Results are therefore in completion order; use `index` to re-sort.
+ */
+export async function runBatch(inputPath, { out = process.stdout, concurrency = 4, field, idField, chainOptions } = {}) {
+    const messages = await readMessages(inputPath, { field, idField });
+    const summary = { total: messages.length, succeeded: 0, failed: 0 };
+
+    await mapWithConcurrency(messages, concurrency, async (item) => {
+        const line = await triageOne(item, chainOptions);
+        line.ok ? summary.succeeded++ : summary.failed++;
+        if (!out.write(`${JSON.stringify(line)}\n`)) await once(out, "drain");
+    });
+
+    return summary;
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            out: { type: "string", short: "o" },
+            concurrency: { type: "string", short: "c", default: "4" },
+            field: { type: "string", default: "message" },
+            "id-field": { type: "string", default: "id" },
+            taxonomy: { type: "string", short: "t" },
+            help: { type: "boolean", short: "h" },
+        },
+    });
+
+    if (values.help || positionals.length !== 1) {
+        console.log(usage);
+        process.exitCode = values.help ? 0 : 1;
+        return;
+    }
+
+    const concurrency = Number(values.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error("--concurrency must be a positive integer");
+    }
+
+    // Loaded up front so a broken taxonomy fails before any message is sent.
+    const taxonomy = await loadTaxonomy(values.taxonomy);
+
+    const out = values.out ? createWriteStream(values.out, { flags: "w" }) : process.stdout;
+    const summary = await runBatch(positionals[0], {
+        out,
+        concurrency,
+        field: values.field,
+        idField: values["id-field"],
+        chainOptions: { taxonomy },
+    });
+
+    if (out !== process.stdout) {
+        out.end();
+        await once(out, "finish");
+    }
+    console.error(`Triaged ${summary.total} messages: ${summary.succeeded} succeeded, ${summary.failed} failed.`);
+    if (summary.failed) process.exitCode = 1;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main().catch((error) => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,112 @@
+import { mkdir, readdir, readFile, rename, rm, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+// Chat sessions for conversational RAG: the turns so far, so a follow-up can
+// be rewritten into a standalone query and answered with the conversation in
+// mind. One JSON file per session, written through a temporary file.
+
+export const SESSION_ID = /^[A-Za-z0-9_-]{1,128}$/;
+
+// Rough token count (about four characters per token for English text);
+// good enough for keeping the prompt inside a budget.
+export const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+export class ChatSessionStore {
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+    this.locks = new Map();
+  }
+
+  fileFor(id) {
+    if (!SESSION_ID.test(id)) throw new Error(`Invalid session id "${id}"`);
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  async get(id) {
+    try {
+      return JSON.parse(await readFile(this.fileFor(id), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async save(session) {
+    const file = this.fileFor(session.id);
+    await mkdir(this.directory, { recursive: true });
+    await writeFile(`${file}.tmp`, JSON.stringify(session, null, 2));
+    await rename(`${file}.tmp`, file);
+    return session;
+  }
+
+  async delete(id) {
+    const existed = (await this.get(id)) !== null;
+    await rm(this.fileFor(id), { force: true });
+    return existed;
+  }
+
+  // Summaries of every session, most recently active first.
+  async list() {
+    let files;
+    try {
+      files = await readdir(this.directory);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const sessions = await Promise.all(
+      files
+        .filter(file => file.endsWith(".json"))
+        .map(file => this.get(path.basename(file, ".json")))
+    );
+
+    return sessions
+      .filter(Boolean)
+      .map(({ id, createdAt, updatedAt, turns }) => ({
+        id,
+        createdAt,
+        updatedAt,
+        turns: turns.length,
+        lastQuestion: turns.at(-1)?.question ?? null
+      }))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  // Runs fn with the session (a new one when the id is unknown), one call
+  // per session at a time, so two follow-ups sent together are answered in
+  // order and both are kept.
+  async withSession(id, fn) {
+    this.fileFor(id);
+    const previous = this.locks.get(id) ?? Promise.resolve();
+    const run = previous.catch(() => {}).then(async () => {
+      const now = new Date().toISOString();
+      const session = (await this.get(id)) ?? { id, createdAt: now, updatedAt: now, turns: [] };
+      return fn(session);
+    });
+
+    this.locks.set(id, run);
+    try {
+      return await run;
+    } finally {
+      if (this.locks.get(id) === run) this.locks.delete(id);
+    }
+  }
+}
+
+// The most recent turns that fit in maxTokens, oldest first.
+export function historyWithinBudget(turns, maxTokens) {
+  const kept = [];
+  let used = 0;
+
+  for (const turn of [...turns].reverse()) {
+    const cost = estimateTokens(turn.question) + estimateTokens(turn.answer);
+    if (used + cost > maxTokens) break;
+    kept.unshift(turn);
+    used += cost;
+  }
+  return kept;
+}
+
+export const formatHistory = (turns) =>
+  turns.map(turn => `User: ${turn.question}\nAssistant: ${turn.answer}`).join("\n\n");
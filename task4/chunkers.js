@@ -0,0 +1,218 @@
+// Chunking strategies, picked per upload or per /rechunk:
+//
+//   sentence   sentences packed up to `length` characters (whitespace is
+//              collapsed; the original behaviour)
+//   recursive  split on blank lines, then lines, then sentences, then words
+//              until each piece fits, then packed up to `length` characters
+//   token      like recursive, but `length` and `overlap` count tokens of
+//              the embedding model, so no chunk is truncated when embedded
+//   markdown   one run of chunks per heading section; each chunk records the
+//              heading path ("Experience > Acme")
+//   page       one run of chunks per page (PDFs); headings are guessed from
+//              short all-caps lines with body text under them
+//   auto       markdown for Markdown files, page for documents with pages,
+//              recursive otherwise
+//
+// Overlap always starts on a word boundary: the next chunk repeats the last
+// whole words of the previous one that fit in `overlap`.
+//
+// Every strategy returns [{ content, headingPath: string[], page: number | null }].
+
+export const CHUNK_STRATEGIES = ["sentence", "recursive", "token", "markdown", "page", "auto"];
+
+// Pieces keep their trailing separator, so joining them gives back the text.
+const SEPARATORS = [/(?<=\n\n)/, /(?<=\n)/, /(?<=[.!?]\s)/, /(?<=\s)/];
+
+const characters = (text) => text.length;
+
+const normalizeWhitespace = (text) =>
+  text
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t\f\v]+/g, " ")
+    .replace(/ ?\n ?/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+// The longest end of text that starts on a word and still fits, with its
+// line breaks kept. Word starts are tried from the end, so only the tails up
+// to the first one that no longer fits get measured.
+function tailWords(text, fits) {
+  const starts = [...text.matchAll(/(?<=^|\s)\S/g)].map(match => match.index);
+  let tail = "";
+
+  for (let i = starts.length - 1; i >= 0; i--) {
+    const candidate = text.slice(starts[i]);
+    if (!fits(candidate)) break;
+    tail = candidate;
+  }
+  return tail;
+}
+
+// Splits text with the first separator that breaks it, recursing into the
+// pieces that are still too big. A single word longer than size is cut.
+function splitToFit(text, size, measure, separators = SEPARATORS) {
+  if (measure(text) <= size) return [text];
+
+  const [separator, ...rest] = separators;
+  if (!separator) {
+    const pieces = [];
+    for (let i = 0; i < text.length; i += size) pieces.push(text.slice(i, i + size));
+    return pieces;
+  }
+
+  const parts = text.split(separator);
+  if (parts.length === 1) return splitToFit(text, size, measure, rest);
+  return parts.flatMap(part => splitToFit(part, size, measure, rest));
+}
+
+// Packs pieces into chunks of at most size, each starting with the overlap
+// taken from the end of the previous chunk.
+function mergePieces(pieces, size, overlap, measure) {
+  const chunks = [];
+  let current = "";
+
+  for (const piece of pieces) {
+    if (current.trim() && measure(current + piece) > size) {
+      chunks.push(current.trim());
+      // The tail is cut down to what still leaves room for the next piece.
+      current = overlap > 0
+        ? tailWords(current, tail => measure(tail.trim()) <= overlap && measure(tail + piece) <= size)
+        : "";
+    }
+    current += piece;
+  }
+
+  if (current.trim()) chunks.push(current.trim());
+  return chunks;
+}
+
+function sentenceChunks(text, { length, overlap }) {
+  const sentences = text
+    .replace(/\s+/g, " ")
+    .split(/(?<=[.!?])\s+/)
+    .map(sentence => `${sentence} `);
+
+  return mergePieces(sentences, length, overlap, characters);
+}
+
+const recursiveChunks = (text, { length, overlap, measure = characters }) =>
+  mergePieces(splitToFit(normalizeWhitespace(text), length, measure), length, overlap, measure);
+
+const HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE = /^\s*(```|~~~)/;
+
+// Splits Markdown into sections at headings (ignoring "#" lines inside code
+// fences). Each section keeps its heading line and its heading path; a
+// heading with nothing under it before the next one only shows up in the
+// paths of the sections below it.
+export function markdownSections(text) {
+  const sections = [];
+  const path = [];
+  let current = { headingPath: [], lines: [], body: false };
+  let inFence = false;
+
+  for (const line of text.replace(/\r\n?/g, "\n").split("\n")) {
+    if (FENCE.test(line)) inFence = !inFence;
+    const heading = !inFence && line.match(HEADING);
+
+    if (heading) {
+      if (current.body) sections.push(current);
+
+      const level = heading[1].length;
+      while (path.length && path.at(-1).level >= level) path.pop();
+      path.push({ level, title: heading[2] });
+      current = { headingPath: path.map(h => h.title), lines: [line], body: false };
+      continue;
+    }
+    current.lines.push(line);
+    if (line.trim()) current.body = true;
+  }
+
+  if (current.body) sections.push(current);
+  return sections.map(({ headingPath, lines }) => ({ headingPath, text: lines.join("\n") }));
+}
+
+// Plain-text headings as PDFs give them: "EXPERIENCE", "WORK HISTORY".
+// Title-case lines are left out; in a PDF they are as often a company, a
+// place or a list of skills as a heading.
+export function looksLikeHeading(line) {
+  const text = line.trim();
+  if (text.length < 3 || text.length > 60 || /[.,;:!?]$/.test(text)) return false;
+  if (!/\p{Lu}/u.test(text) || text !== text.toUpperCase()) return false;
+  return text.split(/\s+/).length <= 6;
+}
+
+function markdownChunks(text, options) {
+  return markdownSections(text).flatMap(({ headingPath, text: section }) =>
+    recursiveChunks(section, options).map(content => ({ content, headingPath, page: null }))
+  );
+}
+
+// Splits pages into parts at guessed headings. As with markdownSections, a
+// heading with no body text before the next one only shows up in the path of
+// the part below it ("EXPERIENCE > SENIOR ENGINEER"), and the heading path
+// carries over to the next page until a new heading replaces it.
+function pageChunks(pages, options) {
+  const chunks = [];
+  let headingPath = [];
+
+  for (const { num, text } of pages) {
+    let current = { headingPath, lines: [], heading: false, body: false };
+    const parts = [];
+
+    for (const line of text.replace(/\r\n?/g, "\n").split("\n")) {
+      if (looksLikeHeading(line)) {
+        if (current.body) parts.push(current);
+        headingPath = current.heading && !current.body ? [...current.headingPath, line.trim()] : [line.trim()];
+        current = { headingPath, lines: [line], heading: true, body: false };
+        continue;
+      }
+      current.lines.push(line);
+      if (line.trim()) current.body = true;
+    }
+    if (current.body) parts.push(current);
+
+    for (const part of parts) {
+      for (const content of recursiveChunks(part.lines.join("\n"), options)) {
+        chunks.push({ content, headingPath: part.headingPath, page: num });
+      }
+    }
+  }
+  return chunks;
+}
+
+export function resolveStrategy(strategy, document) {
+  if (strategy !== "auto") return strategy;
+  if (document.format === "markdown") return "markdown";
+  if (document.pages?.length) return "page";
+  return "recursive";
+}
+
+/**
+ * Chunks a document read by readDocument ({ text, format, pages? }).
+ *
+ * @param {Object} chunking { strategy, length, overlap }; for "token" the
+ *   sizes count tokens, otherwise characters.
+ * @param {(text: string) => number} [countTokens] Needed by "token".
+ */
+export function chunkDocument(document, { strategy, length, overlap }, countTokens) {
+  const plain = (contents) => contents.map(content => ({ content, headingPath: [], page: null }));
+
+  switch (resolveStrategy(strategy, document)) {
+    case "sentence":
+      return plain(sentenceChunks(document.text, { length, overlap }));
+    case "recursive":
+      return plain(recursiveChunks(document.text, { length, overlap }));
+    case "token":
+      if (!countTokens) throw new Error("The token chunker needs a tokenizer");
+      return plain(recursiveChunks(document.text, { length, overlap, measure: countTokens }));
+    case "markdown":
+      return markdownChunks(document.text, { length, overlap });
+    case "page":
+      return document.pages?.length
+        ? pageChunks(document.pages, { length, overlap })
+        : plain(recursiveChunks(document.text, { length, overlap }));
+    default:
+      throw new Error(`Unknown chunk strategy "${strategy}"`);
+  }
+}
@@ -0,0 +1,116 @@
+import { tokenize } from "./lexical-index.js";
+
+// Inline citations for /chat answers. The retrieved chunks are shown to the
+// model as numbered blocks and it cites them with [n] markers. Afterwards
+// every marker is checked against the retrieved set: valid ones are mapped
+// to their chunk together with the passage that best supports the sentence
+// citing it, and the rest are flagged.
+
+const MARKER = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+const splitSentences = (text) =>
+  text
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+
+// Context for the prompt: one numbered block per retrieved chunk.
+export function formatContextBlocks(results) {
+  return results
+    .map(({ content, metadata }, index) => {
+      const header = [
+        `[${index + 1}] Source: ${metadata.filename || "unknown"}`,
+        `Category: ${metadata.category || "unknown"}`,
+        `Chunk: ${metadata.chunkIndex ?? "?"}`
+      ];
+      if (metadata.page) header.push(`Page: ${metadata.page}`);
+      if (metadata.section) header.push(`Section: ${metadata.section}`);
+
+      return `${header.join("\n")}\n\n${content}`;
+    })
+    .join("\n------------------------------------------------\n\n");
+}
+
+// The sentence of `content` sharing the most words with `claim`.
+function bestQuote(content, claim) {
+  const wanted = new Set(tokenize(claim));
+  let best = { sentence: "", overlap: -1 };
+
+  for (const sentence of splitSentences(content)) {
+    const overlap = new Set(tokenize(sentence).filter(token => wanted.has(token))).size;
+    if (overlap > best.overlap) best = { sentence, overlap };
+  }
+  return best.sentence;
+}
+
+/**
+ * Checks the [n] markers of an answer against the numbered results.
+ *
+ * Returns {
+ *   citations: [{ marker, id, filename, category, chunkIndex, page, section, score, claims, quote }],
+ *   hallucinatedMarkers: [n, ...],   // numbers with no matching block
+ *   uncitedSentences: [sentence, ...],
+ *   uncitedSources: [id, ...]        // retrieved but never cited
+ * }
+ * `claims` are the answer sentences citing the chunk and `quote` is the
+ * chunk sentence that best matches them.
+ */
+export function resolveCitations(answer, results, { ignore = [] } = {}) {
+  const cited = new Map();
+  const hallucinated = new Set();
+  const uncitedSentences = [];
+
+  // "... fact. [1] Next" -> "... fact [1]. Next", so the marker stays with
+  // the sentence it cites.
+  const normalized = answer.replace(/([.!?])((?:\s*\[\d+(?:\s*,\s*\d+)*\])+)/g, "$2$1");
+
+  for (const sentence of splitSentences(normalized)) {
+    const markers = [...sentence.matchAll(MARKER)].flatMap(match =>
+      match[1].split(",").map(n => parseInt(n, 10))
+    );
+    const claim = sentence
+      .replace(MARKER, "")
+      .replace(/\s+([.,;:!?])/g, "$1")
+      .replace(/\s{2,}/g, " ")
+      .trim();
+
+    if (!markers.length) {
+      if (claim && !ignore.includes(claim)) uncitedSentences.push(claim);
+      continue;
+    }
+
+    for (const marker of markers) {
+      if (marker < 1 || marker > results.length) {
+        hallucinated.add(marker);
+        continue;
+      }
+      if (!cited.has(marker)) cited.set(marker, []);
+      if (claim && !cited.get(marker).includes(claim)) cited.get(marker).push(claim);
+    }
+  }
+
+  const citations = [...cited]
+    .sort((a, b) => a[0] - b[0])
+    .map(([marker, claims]) => {
+      const { id, content, metadata, score } = results[marker - 1];
+      return {
+        marker,
+        id,
+        filename: metadata.filename,
+        category: metadata.category,
+        chunkIndex: metadata.chunkIndex,
+        page: metadata.page ?? null,
+        section: metadata.section ?? null,
+        score,
+        claims,
+        quote: bestQuote(content, claims.join(" "))
+      };
+    });
+
+  return {
+    citations,
+    hallucinatedMarkers: [...hallucinated].sort((a, b) => a - b),
+    uncitedSentences,
+    uncitedSources: results.filter((_, index) => !cited.has(index + 1)).map(r => r.id)
+  };
+}
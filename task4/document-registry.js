@@ -0,0 +1,95 @@
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+
+// Keeps track of every document indexed in Chroma: where it lives on disk,
+// a hash of its bytes, which version is indexed and the ids of its chunks.
+// With it a re-upload can replace a document's chunks instead of adding to
+// them, chunks left over from a longer previous version can be deleted, and
+// identical files are not indexed twice.
+//
+// The registry is a single JSON file, rewritten (through a temporary file)
+// on every change.
+
+export const hashContent = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex");
+
+// A document is identified by its place in RAG_DATA_DIR, so the id survives
+// new versions of the same file.
+export const documentIdFor = (category, filename) =>
+  crypto.createHash("sha1").update(`${category}|${filename}`).digest("hex").slice(0, 16);
+
+export class DocumentRegistry {
+  constructor(file) {
+    this.file = path.resolve(file);
+    this.documents = new Map();
+    this.writing = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const saved = JSON.parse(await readFile(this.file, "utf8"));
+      this.documents = new Map(saved.documents.map((doc) => [doc.id, doc]));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+    return this;
+  }
+
+  list({ category, filename } = {}) {
+    return [...this.documents.values()].filter(
+      (doc) => (!category || doc.category === category) && (!filename || doc.filename === filename)
+    );
+  }
+
+  get(id) {
+    return this.documents.get(id) ?? null;
+  }
+
+  findByHash(contentHash) {
+    return [...this.documents.values()].find((doc) => doc.contentHash === contentHash) ?? null;
+  }
+
+  // Records a newly indexed version of a document and returns its entry.
+  async record({ category, filename, filePath, contentHash, size, chunkIds, chunking }) {
+    const id = documentIdFor(category, filename);
+    const previous = this.documents.get(id);
+    const now = new Date().toISOString();
+
+    const doc = {
+      id,
+      filename,
+      category,
+      path: filePath,
+      contentHash,
+      size,
+      version: previous ? previous.version + 1 : 1,
+      chunkCount: chunkIds.length,
+      chunkIds,
+      chunking,
+      createdAt: previous?.createdAt ?? now,
+      updatedAt: now,
+    };
+
+    this.documents.set(id, doc);
+    await this.save();
+    return doc;
+  }
+
+  async remove(id) {
+    const existed = this.documents.delete(id);
+    if (existed) await this.save();
+    return existed;
+  }
+
+  // Writes are chained so two requests finishing together cannot interleave;
+  // a failed write does not block the ones after it.
+  save() {
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      await mkdir(path.dirname(this.file), { recursive: true });
+      const body = JSON.stringify({ documents: [...this.documents.values()] }, null, 2);
+      await writeFile(`${this.file}.tmp`, body);
+      await rename(`${this.file}.tmp`, this.file);
+    });
+    return this.writing;
+  }
+}
@@ -0,0 +1,94 @@
+// An in-memory BM25 index over the same chunks as the Chroma collection.
+// Embeddings blur exact strings such as account codes, policy numbers and
+// names; a keyword score finds them.
+//
+// Chunks are keyed by their Chroma id. The index is not persisted: it is
+// rebuilt from the collection at startup and kept in step with every
+// upsert and delete after that.
+
+const K1 = 1.2;
+const B = 0.75;
+
+// Lowercased words and numbers. Codes such as "ACC-2041/B" are kept whole
+// and also split into their parts, so both "acc-2041/b" and "2041" match.
+export function tokenize(text) {
+  const tokens = [];
+  for (const [word] of text.toLowerCase().matchAll(/[\p{L}\p{N}]+(?:[-_./:][\p{L}\p{N}]+)*/gu)) {
+    tokens.push(word);
+    const parts = word.split(/[-_./:]/);
+    if (parts.length > 1) tokens.push(...parts);
+  }
+  return tokens;
+}
+
+export class LexicalIndex {
+  constructor() {
+    this.chunks = new Map(); // id -> { length, metadata }
+    this.postings = new Map(); // term -> Map(id -> term frequency)
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.chunks.size;
+  }
+
+  // Adds or replaces a chunk.
+  add(id, text, metadata = {}) {
+    this.remove([id]);
+
+    const tokens = tokenize(text);
+    const frequencies = new Map();
+    for (const token of tokens) frequencies.set(token, (frequencies.get(token) ?? 0) + 1);
+
+    for (const [term, tf] of frequencies) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(id, tf);
+    }
+
+    this.chunks.set(id, { length: tokens.length, metadata, terms: [...frequencies.keys()] });
+    this.totalLength += tokens.length;
+  }
+
+  remove(ids) {
+    for (const id of ids) {
+      const chunk = this.chunks.get(id);
+      if (!chunk) continue;
+
+      for (const term of chunk.terms) {
+        const posting = this.postings.get(term);
+        posting.delete(id);
+        if (!posting.size) this.postings.delete(term);
+      }
+      this.chunks.delete(id);
+      this.totalLength -= chunk.length;
+    }
+  }
+
+  // Returns [{ id, score, metadata }] best first. `filter(metadata)` limits
+  // the chunks considered.
+  search(query, { topK = 10, filter } = {}) {
+    if (!this.chunks.size) return [];
+
+    const averageLength = this.totalLength / this.chunks.size;
+    const scores = new Map();
+
+    for (const term of new Set(tokenize(query))) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = Math.log(1 + (this.chunks.size - posting.size + 0.5) / (posting.size + 0.5));
+      for (const [id, tf] of posting) {
+        const { length, metadata } = this.chunks.get(id);
+        if (filter && !filter(metadata)) continue;
+
+        const score = idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * (length / averageLength)));
+        scores.set(id, (scores.get(id) ?? 0) + score);
+      }
+    }
+
+    return [...scores]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, topK)
+      .map(([id, score]) => ({ id, score, metadata: this.chunks.get(id).metadata }));
+  }
+}
@@ -1,5 +1,5 @@
 
-// Endpoints: /upload, /prompt, /rechunk
+// Endpoints: /upload, /chat, /chat/stream, /sessions, /rechunk, /documents, /health
 import dotenv from "dotenv";
 
 dotenv.config();
@@ -14,6 +14,26 @@ import { DefaultEmbeddingFunction } from "@chroma-core/default-embed";
 import { ChromaClient} from "chromadb";
 import { PDFParse } from 'pdf-parse';
 import crypto from "node:crypto";
+import { DocumentRegistry, documentIdFor, hashContent } from "./document-registry.js";
+import { LexicalIndex } from "./lexical-index.js";
+import { formatContextBlocks, resolveCitations } from "./citations.js";
+import { openEventStream } from "./sse.js";
+import { CHUNK_STRATEGIES, chunkDocument } from "./chunkers.js";
+import {
+  ChatSessionStore,
+  SESSION_ID,
+  estimateTokens,
+  formatHistory,
+  historyWithinBudget
+} from "./chat-sessions.js";
+import {
+  chromaWhere,
+  createReranker,
+  dot,
+  metadataFilter,
+  reciprocalRankFusion,
+  similarityFromDistance
+} from "./retrieval.js";
 
 const app = express();
 app.use(express.json());
@@ -32,6 +52,42 @@ const collection = await client.getOrCreateCollection({
     name: "documents",
   });
 
+// ---------------------------------------------
+// DOCUMENT REGISTRY (content hash, version and chunk ids per file)
+// ---------------------------------------------
+const registry = await new DocumentRegistry(
+  process.env.DOCUMENT_REGISTRY_FILE || "storage/documents.json"
+).load();
+
+// ---------------------------------------------
+// CHAT SESSIONS (turns of conversational /chat)
+// ---------------------------------------------
+const sessions = new ChatSessionStore(
+  process.env.CHAT_SESSION_DIR || "storage/sessions"
+);
+
+// ---------------------------------------------
+// LEXICAL (BM25) INDEX, rebuilt from Chroma on startup
+// ---------------------------------------------
+const lexicalIndex = new LexicalIndex();
+const INDEX_PAGE_SIZE = 500;
+
+async function loadLexicalIndex() {
+  for (let offset = 0; ; offset += INDEX_PAGE_SIZE) {
+    const page = await collection.get({
+      limit: INDEX_PAGE_SIZE,
+      offset,
+      include: ["documents", "metadatas"]
+    });
+
+    page.ids.forEach((id, i) => lexicalIndex.add(id, page.documents[i] ?? "", page.metadatas[i] ?? {}));
+    if (page.ids.length < INDEX_PAGE_SIZE) break;
+  }
+  console.log(`Lexical index holds ${lexicalIndex.size} chunks`);
+}
+
+await loadLexicalIndex();
+
 // ---------------------------------------------
 // EMBEDDING PIPELINE
 // ---------------------------------------------
@@ -48,11 +104,21 @@ const ai = new GoogleGenAI({
   apiKey: process.env.GEMINI_API_KEY
 });
 
+// ---------------------------------------------
+// OPTIONAL CROSS-ENCODER RERANKER
+// ---------------------------------------------
+// e.g. RERANK_MODEL_NAME=Xenova/ms-marco-MiniLM-L-6-v2; loaded on first use.
+const reranker = process.env.RERANK_MODEL_NAME
+  ? createReranker(process.env.RERANK_MODEL_NAME)
+  : null;
+
 
 // ---------------------------------------------
 // READ & PARSE FILE CONTENT
 // ---------------------------------------------
 
+// Returns { text, pages: [{ num, text }] }; both empty when nothing can be
+// extracted.
 async function extractPdfText(filePath) {
   try {
     // Read file into buffer
@@ -75,30 +141,38 @@ async function extractPdfText(filePath) {
 
     if (textResult.text.trim().length === 0) {
       console.warn("PDF has no extractable text:", filePath);
-      return "";
+      return { text: "", pages: [] };
     }
-    return textResult.text;
+    return {
+      text: textResult.text,
+      pages: (textResult.pages || []).map(page => ({ num: page.num, text: page.text }))
+    };
   } catch (err) {
     console.error("PDF parse failed:", err);
-    return "";
+    return { text: "", pages: [] };
   }
 }
 
-async function readFileContent(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
+// Returns { text, format: "markdown" | "text", pages? } for the chunkers;
+// text is "" when nothing can be extracted.
+// The format comes from `filename`, which defaults to the path; an upload
+// still sitting under its temporary name passes its original name.
+async function readDocument(filePath, filename = filePath) {
+  const ext = path.extname(filename).toLowerCase();
 
   if (ext === ".txt" || ext === ".md") {
-    return await fs.readFile(filePath, "utf8");
+    const text = await fs.readFile(filePath, "utf8");
+    return { text, format: ext === ".md" ? "markdown" : "text" };
   }
 
   if (ext === ".pdf") {
-    const text = await extractPdfText(filePath);
+    const { text, pages } = await extractPdfText(filePath);
 
     if (!text || text.trim().length === 0) {
       console.warn("PDF has no extractable text:", filePath);
-      return "";
+      return { text: "", format: "text" };
     }
-    return text;
+    return { text, format: "text", pages };
   }
 
   if (ext === ".docx") {
@@ -107,12 +181,12 @@ async function readFileContent(filePath) {
 
     if (!result.value || result.value.trim().length === 0) {
       console.warn("DOCX has no extractable text:", filePath);
-      return "";
+      return { text: "", format: "text" };
     }
-    return result.value;
+    return { text: result.value, format: "text" };
   }
 
-  return "";
+  return { text: "", format: "text" };
 }
 
 // ---------------------------------------------
@@ -139,13 +213,15 @@ async function loadAllDocumentsWithCategory(dir, category = "") {
       continue;
     }
 
-    const text = await readFileContent(fullPath);
-    if (!text || text.trim().length === 0) continue;
+    const document = await readDocument(fullPath);
+    if (!document.text || document.text.trim().length === 0) continue;
 
     allDocs.push({
       filename: entry.name,
       category,
-      content: text
+      path: fullPath,
+      content: document.text,
+      document
     });
   }
 
@@ -155,65 +231,45 @@ async function loadAllDocumentsWithCategory(dir, category = "") {
 // ---------------------------------------------
 // CHUNKING
 // ---------------------------------------------
+// Strategies live in chunkers.js. Lengths count characters, except for the
+// "token" strategy, which counts tokens of the embedding model and has its
+// own defaults.
+const CHUNK_STRATEGY = process.env.CHUNK_STRATEGY || "sentence";
 const CHUNK_LENGTH = parseInt(process.env.CHUNK_LENGTH || "500");
 const CHUNK_OVERLAP = parseInt(process.env.CHUNK_OVERLAP || "50");
+const CHUNK_TOKENS = parseInt(process.env.CHUNK_TOKENS || "200");
+const CHUNK_TOKEN_OVERLAP = parseInt(process.env.CHUNK_TOKEN_OVERLAP || "20");
+
+// Reads { chunkStrategy, chunkLength, chunkOverlap } from a request (JSON
+// body or upload form fields, so numbers may be strings). Returns
+// { chunking: { strategy, length, overlap } } or { error }.
+function readChunking({ chunkStrategy, chunkLength, chunkOverlap } = {}) {
+  const strategy = chunkStrategy || CHUNK_STRATEGY;
+  if (!CHUNK_STRATEGIES.includes(strategy)) {
+    return { error: `chunkStrategy must be one of: ${CHUNK_STRATEGIES.join(", ")}` };
+  }
 
-function chunkText(text, size, overlap = 0) {
-  const sentences = text
-    .replace(/\s+/g, " ")
-    .split(/(?<=[.!?])\s+/);
-
-  const chunks = [];
-  let currentChunk = "";
-
-  for (const sentence of sentences) {
-    if ((currentChunk + sentence).length > size) {
-      if (currentChunk.trim()) {
-        chunks.push(currentChunk.trim());
-      }
-
-      if (overlap > 0 && chunks.length > 0) {
-        currentChunk = currentChunk
-          .slice(-overlap)
-          .trim();
-      } else {
-        currentChunk = "";
-      }
-    }
+  const tokens = strategy === "token";
+  const length = chunkLength === undefined || chunkLength === ""
+    ? (tokens ? CHUNK_TOKENS : CHUNK_LENGTH)
+    : Number(chunkLength);
+  const overlap = chunkOverlap === undefined || chunkOverlap === ""
+    ? (tokens ? CHUNK_TOKEN_OVERLAP : CHUNK_OVERLAP)
+    : Number(chunkOverlap);
 
-    currentChunk += sentence + " ";
+  if (!Number.isInteger(length) || length < 1) {
+    return { error: "chunkLength must be a positive integer" };
   }
-
-  if (currentChunk.trim()) {
-    chunks.push(currentChunk.trim());
+  if (!Number.isInteger(overlap) || overlap < 0 || overlap >= length) {
+    return { error: "chunkOverlap must be an integer from 0 up to chunkLength" };
   }
 
-  return chunks;
+  return { chunking: { strategy, length, overlap } };
 }
 
-
-function chunkAllDocuments(documents, size = CHUNK_LENGTH, overlap =CHUNK_OVERLAP ) {
-  const allChunks = [];
-
-  documents.forEach(doc => {
-    const chunks = chunkText(
-      doc.content,
-      size,
-      overlap
-    );
-
-    chunks.forEach((chunk, index) => {
-      allChunks.push({
-        filename: doc.filename,
-        category: doc.category,
-        chunkIndex: index,
-        content: chunk
-      });
-    });
-  });
-
-  return allChunks;
-}
+// Token counts for the "token" strategy, from the embedder's own tokenizer.
+const countTokens = (text) =>
+  embedder.tokenizer.encode(text, { add_special_tokens: false }).length;
 
 
 
@@ -277,10 +333,12 @@ function makeChunkId(chunk) {
   const raw = `${chunk.filename}|${chunk.category}|${chunk.chunkIndex}`;
   return crypto.createHash("sha1").update(raw).digest("hex");
 }
+// Upserts the chunks, so chunks keeping their id (same file, category and
+// index) are replaced rather than duplicated. Returns the saved ids.
 async function saveToChroma(embeddedChunks) {
   if (!embeddedChunks.length) {
     console.warn("No chunks to save to Chroma");
-    return;
+    return [];
   }
 
   const ids = [];
@@ -298,6 +356,11 @@ async function saveToChroma(embeddedChunks) {
       filename: chunk.filename,
       category: chunk.category,
       chunkIndex: chunk.chunkIndex,
+      documentId: documentIdFor(chunk.category, chunk.filename),
+      ...(chunk.contentHash && { contentHash: chunk.contentHash }),
+      ...(chunk.strategy && { chunkStrategy: chunk.strategy }),
+      ...(chunk.headingPath?.length && { section: chunk.headingPath.join(" > ") }),
+      ...(Number.isInteger(chunk.page) && { page: chunk.page }),
       model: "all-MiniLM-L6-v2"
     });
   }
@@ -311,16 +374,145 @@ async function saveToChroma(embeddedChunks) {
     throw new Error("Chroma data arrays mismatch or empty");
   }
 
-  await collection.add({
+  await collection.upsert({
     ids,
     embeddings,
     documents,
     metadatas
   });
 
+  ids.forEach((id, i) => lexicalIndex.add(id, documents[i], metadatas[i]));
+
   console.log(`Saved ${ids.length} chunks to Chroma`);
+  return ids;
+}
+
+// Every chunk stored for a file, including ones indexed before the registry
+// existed (matched on filename and category).
+async function chunkIdsForFile(filename, category) {
+  const stored = await collection.get({
+    where: { $and: [{ filename: { $eq: filename } }, { category: { $eq: category } }] },
+    include: []
+  });
+  return stored.ids;
+}
+
+// Deletes the file's chunks that are not in keepIds, e.g. the tail of a
+// previous version that had more chunks. Returns how many were deleted.
+async function removeOrphanChunks(filename, category, keepIds = []) {
+  const keep = new Set(keepIds);
+  const orphans = (await chunkIdsForFile(filename, category)).filter(id => !keep.has(id));
+
+  if (orphans.length) {
+    await collection.delete({ ids: orphans });
+    lexicalIndex.remove(orphans);
+    console.log(`Removed ${orphans.length} orphaned chunks of ${category}/${filename}`);
+  }
+  return orphans.length;
+}
+
+
+// ---------------------------------------------
+// INDEX ONE DOCUMENT (chunk, embed, upsert, clean up, register)
+// ---------------------------------------------
+
+// Returns { status, document } where status is one of:
+//   "indexed"   - a new version was chunked and saved
+//   "unchanged" - same bytes and chunk settings as the indexed version
+//   "duplicate" - the same bytes are already indexed under another file
+//                 (document is that other file)
+//   "empty"     - no text could be extracted
+// `chunking` is { strategy, length, overlap } (see readChunking); `force`
+// re-indexes unchanged documents; `document` (from readDocument) skips
+// re-reading the file.
+// `storedPath` is where the file will live once indexed, when it is read
+// from somewhere else (an upload's temporary file); the registry records it.
+async function indexDocument({ filePath, storedPath = filePath, filename, category, chunking, force = false, document }) {
+  const buffer = await fs.readFile(filePath);
+  const contentHash = hashContent(buffer);
+  const id = documentIdFor(category, filename);
+  const current = registry.get(id);
+
+  const duplicate = registry.findByHash(contentHash);
+  if (duplicate && duplicate.id !== id) {
+    return { status: "duplicate", document: duplicate };
+  }
+
+  const sameChunking =
+    (current?.chunking?.strategy ?? "sentence") === chunking.strategy &&
+    current?.chunking?.length === chunking.length &&
+    current?.chunking?.overlap === chunking.overlap;
+  if (!force && current?.contentHash === contentHash && sameChunking) {
+    return { status: "unchanged", document: current };
+  }
+
+  const source = document ?? await readDocument(filePath, filename);
+  if (!source.text || !source.text.trim()) {
+    return { status: "empty", document: current };
+  }
+
+  const prepared = chunkDocument(source, chunking, countTokens).map((chunk, i) => ({
+    filename,
+    category,
+    chunkIndex: i,
+    contentHash,
+    strategy: chunking.strategy,
+    headingPath: chunk.headingPath,
+    page: chunk.page,
+    content: chunk.content
+  }));
+
+  const embedded = await embedAllChunks(prepared);
+  if (!embedded.length) {
+    throw new Error(`Failed to generate embeddings for ${category}/${filename}`);
+  }
+
+  const chunkIds = await saveToChroma(embedded);
+  const orphansRemoved = await removeOrphanChunks(filename, category, chunkIds);
+
+  const entry = await registry.record({
+    category,
+    filename,
+    filePath: storedPath,
+    contentHash,
+    size: buffer.length,
+    chunkIds,
+    chunking
+  });
+
+  return { status: "indexed", document: entry, orphansRemoved };
 }
 
+// Whether filePath resolves to somewhere inside RAG_DATA_DIR.
+const insideDataDir = (filePath) => {
+  const relative = path.relative(path.resolve(process.env.RAG_DATA_DIR), path.resolve(filePath));
+  return relative !== "" && relative.split(path.sep)[0] !== ".." && !path.isAbsolute(relative);
+};
+
+// Removes a document's chunks and registry entry, and its file unless
+// keepFile is set. A file outside RAG_DATA_DIR is never removed.
+async function removeDocument(doc, { keepFile = false } = {}) {
+  if (doc.chunkIds.length) {
+    await collection.delete({ ids: doc.chunkIds });
+    lexicalIndex.remove(doc.chunkIds);
+  }
+  const leftovers = await removeOrphanChunks(doc.filename, doc.category);
+
+  const removeFile = !keepFile && insideDataDir(doc.path);
+  if (!keepFile && !removeFile) {
+    console.warn(`Not removing ${doc.path}: it is outside RAG_DATA_DIR`);
+  }
+  if (removeFile) {
+    await fs.rm(doc.path, { force: true });
+  }
+  await registry.remove(doc.id);
+
+  return { id: doc.id, chunksRemoved: doc.chunkIds.length + leftovers, fileRemoved: removeFile };
+}
+
+// What the /documents routes show for a registry entry.
+const describeDocument = ({ chunkIds, ...doc }) => doc;
+
 
 
 // ---------------------------------------------
@@ -328,9 +520,15 @@ async function saveToChroma(embeddedChunks) {
 // ---------------------------------------------
 // if (process.env.RAG_DATA_DIR) {
 //   const docs = await loadAllDocumentsWithCategory(process.env.RAG_DATA_DIR);
-//   const chunks = chunkAllDocuments(docs);
-//   const embeddedChunks = await embedAllChunks(chunks);
-//   await saveToChroma(embeddedChunks);
+//   for (const doc of docs) {
+//     await indexDocument({
+//       filePath: doc.path,
+//       filename: doc.filename,
+//       category: doc.category,
+//       chunking: readChunking().chunking,
+//       document: doc.document
+//     });
+//   }
 // }
 
 
@@ -348,6 +546,13 @@ app.post("/upload", upload.single("file"), async (req, res) => {
       return res.status(400).json({ error: "category and file are required" });
     }
 
+    // optional form fields: chunkStrategy, chunkLength, chunkOverlap
+    const { chunking, error } = readChunking(req.body);
+    if (error) {
+      await fs.rm(file.path, { force: true });
+      return res.status(400).json({ error });
+    }
+
     const categoryPath = path.join(process.env.RAG_DATA_DIR, category);
 
     try {
@@ -356,141 +561,363 @@ app.post("/upload", upload.single("file"), async (req, res) => {
   await fs.mkdir(categoryPath, { recursive: true });
 }
 
-    const finalPath = path.join(categoryPath, file.originalname);
-    await fs.rename(file.path, finalPath);
-
+    // Identical bytes already indexed under another name are not stored twice.
+    const contentHash = hashContent(await fs.readFile(file.path));
+    const duplicate = registry.findByHash(contentHash);
+    if (duplicate && duplicate.id !== documentIdFor(category, file.originalname)) {
+      await fs.rm(file.path, { force: true });
+      return res.status(409).json({
+        error: "A document with the same content already exists.",
+        document: describeDocument(duplicate)
+      });
+    }
 
-    // process only this file
-    const text = await readFileContent(finalPath);
+    // process only this file; a new version replaces the chunks of the old one.
+    // It is indexed from the temporary upload and only then moved over the
+    // old version, so a version that fails to index leaves the old file alone.
+    const finalPath = path.join(categoryPath, file.originalname);
+    const result = await indexDocument({
+      filePath: file.path,
+      storedPath: finalPath,
+      filename: file.originalname,
+      category,
+      chunking
+    });
 
-    if (!text) {
+    if (result.status === "empty") {
+      await fs.rm(file.path, { force: true });
       return res.status(400).json({ error: "Uploaded file has no extractable text." });
     }
-    const chunks = chunkText(text, CHUNK_LENGTH);
-
-    if (!chunks.length) {
-      return res.status(400).json({ error: "No chunks could be created from this file." });
+    if (result.status === "duplicate") {
+      await fs.rm(file.path, { force: true });
+      return res.status(409).json({
+        error: "A document with the same content already exists.",
+        document: describeDocument(result.document)
+      });
     }
 
-    const prepared = chunks.map((c, i) => ({
-  filename: file.originalname,
-  category,
-  chunkIndex: i,
-  content: c
-}));
-    
-    const embedded = await embedAllChunks(prepared);
-
-if (!embedded.length) {
-  return res.status(500).json({ error: "Failed to generate embeddings for file." });
-}
+    await fs.rename(file.path, finalPath);
 
-await saveToChroma(embedded);
-return res.json({ message: "File uploaded and processed." });
+    return res.json({
+      message: result.status === "unchanged"
+        ? "File is unchanged; nothing was re-indexed."
+        : "File uploaded and processed.",
+      status: result.status,
+      document: describeDocument(result.document),
+      orphansRemoved: result.orphansRemoved ?? 0
+    });
 
   } catch (err) {
     console.error(err);
+    if (req.file) await fs.rm(req.file.path, { force: true });
     return res.status(500).json({ error: "Upload failed" });
   }
 });
 
 
 // ---------------------------------------------
-// /prompt — RAG answer generation
+// HYBRID RETRIEVAL (dense + BM25, fused with RRF, optionally reranked)
 // ---------------------------------------------
-// 
-app.post("/chat", async (req, res) => {
-  try {
-    const { question } = req.body;
+const DEFAULT_TOP_K = 5;
+const MAX_TOP_K = 20;
+const FILTER_FIELDS = ["category", "filename"];
 
-    if (!question || !question.trim()) {
-      return res.status(400).json({ error: "question is required" });
-    }
+// Validates the retrieval parameters of a /chat body. Returns { options } or
+// { error }.
+function readRetrievalOptions(body) {
+  const { topK = DEFAULT_TOP_K, filters = {}, minScore = 0, rerank = Boolean(reranker) } = body;
 
-    // ---------------------------------------------------------
-    // 1. Embed the question
-    // ---------------------------------------------------------
-    const queryEmbedding = await embedChunk(question);
+  if (!Number.isInteger(topK) || topK < 1 || topK > MAX_TOP_K) {
+    return { error: `topK must be an integer between 1 and ${MAX_TOP_K}` };
+  }
+  if (typeof minScore !== "number" || minScore < -1 || minScore > 1) {
+    return { error: "minScore must be a number between -1 and 1" };
+  }
+  if (typeof filters !== "object" || Array.isArray(filters) || filters === null) {
+    return { error: "filters must be an object" };
+  }
+  const unknown = Object.keys(filters).filter(key => !FILTER_FIELDS.includes(key));
+  if (unknown.length) {
+    return { error: `filters can only use: ${FILTER_FIELDS.join(", ")}` };
+  }
+  const isText = value => typeof value === "string";
+  if (!Object.values(filters).every(value => isText(value) || (Array.isArray(value) && value.every(isText)))) {
+    return { error: "each filter must be a string or an array of strings" };
+  }
+  if (rerank && !reranker) {
+    return { error: "rerank is not available: RERANK_MODEL_NAME is not set" };
+  }
 
-    if (!queryEmbedding || !queryEmbedding.length) {
-      return res.status(500).json({ error: "Failed to embed question" });
-    }
+  return { options: { topK, filters, minScore, rerank: Boolean(rerank) } };
+}
+
+// Returns up to topK chunks, best first:
+//   [{ id, content, metadata, score, scores: { fused, similarity, bm25, rerank }, ranks }]
+// score is the rerank score when reranking and the fused RRF score otherwise;
+// similarity is the cosine similarity to the question, which minScore
+// applies to.
+async function hybridSearch(question, queryEmbedding, { topK, filters, minScore, rerank }) {
+  const candidates = Math.max(topK * 4, 20);
+
+  const dense = await collection.query({
+    queryEmbeddings: [queryEmbedding],
+    nResults: candidates,
+    where: chromaWhere(filters),
+    include: ["documents", "metadatas", "distances"]
+  });
 
-    // ---------------------------------------------------------
-    // 2. Query Chroma
-    // ---------------------------------------------------------
-    const results = await collection.query({
-      queryEmbeddings: [queryEmbedding],
-      nResults: 5
+  const chunks = new Map();
+  const denseHits = (dense.ids?.[0] || []).map((id, i) => {
+    chunks.set(id, {
+      content: dense.documents[0][i],
+      metadata: dense.metadatas[0][i] || {},
+      similarity: similarityFromDistance(dense.distances[0][i])
     });
+    return { id };
+  });
 
-    const docs = results.documents?.[0] || [];
-    const metas = results.metadatas?.[0] || [];
+  const lexicalHits = lexicalIndex.search(question, { topK: candidates, filter: metadataFilter(filters) });
+  const bm25 = new Map(lexicalHits.map(hit => [hit.id, hit.score]));
+
+  // Keyword-only hits still need their text and a similarity score.
+  const missing = lexicalHits.map(hit => hit.id).filter(id => !chunks.has(id));
+  if (missing.length) {
+    const stored = await collection.get({ ids: missing, include: ["documents", "metadatas", "embeddings"] });
+    stored.ids.forEach((id, i) => {
+      chunks.set(id, {
+        content: stored.documents[i],
+        metadata: stored.metadatas[i] || {},
+        similarity: dot(queryEmbedding, stored.embeddings[i])
+      });
+    });
+  }
 
-    // ---------------------------------------------------------
-    // 3. Build context
-    // ---------------------------------------------------------
-    let contextText = "";
+  let results = reciprocalRankFusion({ dense: denseHits, lexical: lexicalHits })
+    .filter(({ id }) => chunks.has(id) && chunks.get(id).similarity >= minScore)
+    .map(({ id, score, ranks }) => ({
+      id,
+      content: chunks.get(id).content,
+      metadata: chunks.get(id).metadata,
+      score,
+      scores: { fused: score, similarity: chunks.get(id).similarity, bm25: bm25.get(id) ?? 0, rerank: null },
+      ranks
+    }));
+
+  if (rerank) {
+    results = results.slice(0, Math.max(topK * 3, 10));
+    const rerankScores = await reranker(question, results.map(r => r.content));
+    results.forEach((r, i) => {
+      r.scores.rerank = rerankScores[i];
+      r.score = rerankScores[i];
+    });
+    results.sort((a, b) => b.score - a.score);
+  }
 
-    docs.forEach((doc, idx) => {
-      const meta = metas[idx] || {};
-      contextText +=
-`Source: ${meta.filename || "unknown"}
-Category: ${meta.category || "unknown"}
-Chunk: ${meta.chunkIndex ?? "?"}
+  return results.slice(0, topK);
+}
 
-${doc}\n------------------------------------------------\n
 
-`;
-    });
+// ---------------------------------------------
+// /chat — RAG answer generation with [n] citations
+// ---------------------------------------------
+const NOT_AVAILABLE = "The answer is not available in the provided documents.";
+
+// Token budgets for conversational chat: the whole prompt (context blocks
+// plus history) and the share of it the history may take at most. Older
+// turns are dropped first.
+const CHAT_PROMPT_TOKENS = parseInt(process.env.CHAT_PROMPT_TOKENS || "6000");
+const CHAT_HISTORY_TOKENS = parseInt(process.env.CHAT_HISTORY_TOKENS || "1500");
+
+function buildChatPrompt(question, results, history = []) {
+  const contextText = results.length
+    ? formatContextBlocks(results)
+    : "No relevant documents found.";
+
+  const historyText = history.length
+    ? `
+Conversation so far (use it only to understand the question; facts must
+still come from the context):
+${formatHistory(history)}
+`
+    : "";
+
+  return `You are a retrieval-augmented assistant.
+Answer ONLY using the provided context.
+The context is split into numbered blocks. After every sentence of your
+answer, cite the block(s) it relies on with their number in square brackets,
+e.g. [1] or [2][3]. Only cite numbers of blocks shown below.
+If the answer is not present, reply exactly:
+"${NOT_AVAILABLE}"
+${historyText}
+Question:
+${question}
 
-    if (!contextText.trim()) {
-      contextText = "No relevant documents found.";
-    }
+Context:
+${contextText}`;
+}
 
-    // ---------------------------------------------------------
-    // 4. Generate answer (RAG-safe prompt)
-    // ---------------------------------------------------------
+// Turns a follow-up such as "what about his second job?" into a query that
+// can be searched on its own. Falls back to the question when the rewrite
+// fails.
+async function rewriteQuery(question, history) {
+  try {
     const response = await ai.models.generateContent({
-      model: process.env.LLM_MODEL_NAME,
+      model: process.env.REWRITE_MODEL_NAME || process.env.LLM_MODEL_NAME,
       contents: [
         {
           role: "user",
           parts: [
             {
               text:
-`You are a retrieval-augmented assistant.
-Answer ONLY using the provided context.
-If the answer is not present, reply exactly:
-"The answer is not available in the provided documents."
+`Rewrite the user's latest message as a standalone search query for a document search engine.
+Resolve pronouns and references ("he", "that job", "the second one") using the conversation.
+Keep names, codes and numbers exactly as written. Reply with the query only.
 
-Question:
-${question}
+Conversation:
+${formatHistory(history)}
 
-Context:
-${contextText}`
+Latest message:
+${question}`
             }
           ]
         }
       ]
     });
 
-    const answer =
-      response?.candidates?.[0]?.content?.parts?.[0]?.text ||
-      "The answer is not available in the provided documents.";
+    const query = response?.candidates?.[0]?.content?.parts?.[0]?.text?.trim();
+    return query || question;
+  } catch (err) {
+    console.error("Query rewrite failed:", err);
+    return question;
+  }
+}
 
-    // ---------------------------------------------------------
-    // 5. Response
-    // ---------------------------------------------------------
-    return res.json({
-      answer,
-      sources: metas.map(m => ({
-        filename: m.filename,
-        category: m.category,
-        chunkIndex: m.chunkIndex
-      }))
+// Validates a /chat body. Returns { error } or { question, options, sessionId }.
+function readChatBody(body) {
+  const { question, sessionId } = body;
+
+  if (typeof question !== "string" || !question.trim()) {
+    return { error: "question is required" };
+  }
+  if (sessionId !== undefined && (typeof sessionId !== "string" || !SESSION_ID.test(sessionId))) {
+    return { error: "sessionId must be 1-128 letters, digits, '-' or '_'" };
+  }
+
+  const { options, error } = readRetrievalOptions(body);
+  if (error) {
+    return { error };
+  }
+
+  return { question, options, sessionId };
+}
+
+// Runs fn with the chat session named in the body (serialized per session),
+// or with null for a one-off question.
+const inSession = (sessionId, fn) =>
+  sessionId ? sessions.withSession(sessionId, fn) : fn(null);
+
+// Rewrites the question against the session, embeds it and retrieves the
+// context. Returns { status, error } when the request cannot go on, else
+// { question, query, options, results, history, request }.
+async function prepareChat({ question, options }, session) {
+  const turns = session?.turns ?? [];
+
+  // 1. Rewrite follow-ups into a standalone query
+  const query = turns.length
+    ? await rewriteQuery(question, historyWithinBudget(turns, CHAT_HISTORY_TOKENS))
+    : question;
+
+  // 2. Embed the query
+  const queryEmbedding = await embedChunk(query);
+
+  if (!queryEmbedding || !queryEmbedding.length) {
+    return { status: 500, error: "Failed to embed question" };
+  }
+
+  // 3. Retrieve (Chroma + BM25, fused, optionally reranked)
+  const results = await hybridSearch(query, queryEmbedding, options);
+
+  // 4. Prompt with numbered context blocks and as much history as fits
+  const contextTokens = estimateTokens(formatContextBlocks(results));
+  const historyBudget = Math.max(0, Math.min(CHAT_HISTORY_TOKENS, CHAT_PROMPT_TOKENS - contextTokens));
+  const history = historyWithinBudget(turns, historyBudget);
+
+  const request = {
+    model: process.env.LLM_MODEL_NAME,
+    contents: [{ role: "user", parts: [{ text: buildChatPrompt(question, results, history) }] }]
+  };
+
+  return { question, query, options, results, history, request };
+}
+
+// Maps the answer's markers back to the retrieved chunks. Only cited chunks
+// are returned as sources.
+function citedAnswer(answer, { question, query, options, results, history }, session) {
+  const { citations, hallucinatedMarkers, uncitedSentences, uncitedSources } =
+    resolveCitations(answer, results, { ignore: [NOT_AVAILABLE] });
+
+  return {
+    answer,
+    sources: citations.map(({ id, ...citation }) => ({
+      id,
+      ...citation,
+      scores: results.find(r => r.id === id).scores
+    })),
+    warnings: { hallucinatedMarkers, uncitedSentences },
+    retrieved: { count: results.length, uncited: uncitedSources },
+    retrieval: options,
+    sessionId: session?.id ?? null,
+    query: { original: question, rewritten: query === question ? null : query },
+    historyTurns: history.length
+  };
+}
+
+// Appends the answered turn to the session and saves it.
+async function recordTurn(session, reply) {
+  if (!session) return;
+
+  const now = new Date().toISOString();
+  session.turns.push({
+    question: reply.query.original,
+    rewrittenQuery: reply.query.rewritten,
+    answer: reply.answer,
+    sources: reply.sources.map(({ id, filename, chunkIndex }) => ({ id, filename, chunkIndex })),
+    at: now
+  });
+  session.updatedAt = now;
+  await sessions.save(session);
+}
+
+app.post("/chat", async (req, res) => {
+  try {
+    const input = readChatBody(req.body);
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+
+    const reply = await inSession(input.sessionId, async (session) => {
+      const prepared = await prepareChat(input, session);
+      if (prepared.error) return prepared;
+
+      // 5. Generate answer (RAG-safe prompt)
+      const response = await ai.models.generateContent(prepared.request);
+
+      const answer =
+        response?.candidates?.[0]?.content?.parts?.[0]?.text ||
+        NOT_AVAILABLE;
+
+      const body = citedAnswer(answer, prepared, session);
+      await recordTurn(session, body);
+      return { body };
     });
 
+    if (reply.error) {
+      return res.status(reply.status).json({ error: reply.error });
+    }
+
+    // 6. Response
+    return res.json(reply.body);
+
   } catch (error) {
     console.error("Prompt error:", error);
     return res.status(500).json({
@@ -500,34 +927,169 @@ ${contextText}`
   }
 });
 
+// Same body as /chat, answered over Server-Sent Events:
+//   event: chunk  data: { "text": "..." }    as the model writes
+//   event: done   data: same body as /chat  once the answer is complete
+//   event: error  data: { "error": "...", "details": "..." }
+// Validation problems are still plain JSON responses, sent before the stream
+// opens. A turn is only added to the session once its answer is complete; a
+// client that goes away at any point stops the work, including the model
+// call, and nothing is saved.
+app.post("/chat/stream", async (req, res) => {
+  const upstream = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) upstream.abort();
+  });
+
+  let send;
+  try {
+    const input = readChatBody(req.body);
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+
+    await inSession(input.sessionId, async (session) => {
+      if (upstream.signal.aborted) return;
+      const prepared = await prepareChat(input, session);
+      if (upstream.signal.aborted) return;
+      if (prepared.error) {
+        return res.status(prepared.status).json({ error: prepared.error });
+      }
+
+      send = openEventStream(res);
 
-// Rechunk endpoint
+      const request = { ...prepared.request, config: { abortSignal: upstream.signal } };
+      let answer = "";
+      for await (const chunk of await ai.models.generateContentStream(request)) {
+        if (upstream.signal.aborted) return;
+        const text = chunk.text ?? "";
+        if (!text) continue;
+        answer += text;
+        send("chunk", { text });
+      }
+
+      const body = citedAnswer(answer || NOT_AVAILABLE, prepared, session);
+      await recordTurn(session, body);
+      send("done", body);
+      res.end();
+    });
+  } catch (error) {
+    if (upstream.signal.aborted) {
+      console.log("Chat stream client disconnected; answer discarded");
+      return;
+    }
+    console.error("Prompt stream error:", error);
+    if (!send) {
+      return res.status(500).json({ error: "Prompt failed", details: error.message });
+    }
+    // Headers are already sent, so the error travels as an SSE event.
+    send("error", { error: "Prompt failed", details: error.message });
+    res.end();
+  }
+});
+
+
+// ---------------------------------------------
+// /sessions — list, inspect and clear chat sessions
+// ---------------------------------------------
+app.get("/sessions", async (req, res) => {
+  try {
+    const list = await sessions.list();
+    res.json({ count: list.length, sessions: list });
+  } catch (err) {
+    console.error("Session list failed:", err);
+    return res.status(500).json({ error: "Session list failed", details: err.message });
+  }
+});
+
+app.get("/sessions/:id", async (req, res) => {
+  try {
+    if (!SESSION_ID.test(req.params.id)) return res.status(400).json({ error: "Invalid session id" });
+    const session = await sessions.get(req.params.id);
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    res.json(session);
+  } catch (err) {
+    console.error("Session lookup failed:", err);
+    return res.status(500).json({ error: "Session lookup failed", details: err.message });
+  }
+});
+
+app.delete("/sessions/:id", async (req, res) => {
+  try {
+    if (!SESSION_ID.test(req.params.id)) return res.status(400).json({ error: "Invalid session id" });
+    const existed = await sessions.delete(req.params.id);
+    if (!existed) return res.status(404).json({ error: "Session not found" });
+    res.json({ message: "Session cleared", id: req.params.id });
+  } catch (err) {
+    console.error("Session delete failed:", err);
+    return res.status(500).json({ error: "Session delete failed", details: err.message });
+  }
+});
+
+app.delete("/sessions", async (req, res) => {
+  try {
+    const list = await sessions.list();
+    for (const { id } of list) await sessions.delete(id);
+    res.json({ message: "Sessions cleared", count: list.length });
+  } catch (err) {
+    console.error("Session delete failed:", err);
+    return res.status(500).json({ error: "Session delete failed", details: err.message });
+  }
+});
+
+
+// Rechunk endpoint: re-indexes matching documents with new chunk settings.
+// Each document's new chunks replace its old ones. Without filters, registry
+// entries whose file has gone from RAG_DATA_DIR are removed with their chunks.
 app.post("/rechunk", async (req, res) => {
   try {
-    const { chunkLength, chunkOverlap, specificFile, specificCategory } = req.body;
-    const CHUNK_LENGTH = parseInt(chunkLength) || parseInt(process.env.CHUNK_LENGTH) || 500;
-    const CHUNK_OVERLAP = parseInt(chunkOverlap) || parseInt(process.env.CHUNK_OVERLAP) || 50;
-    // await collection.delete({ where: {} });
+    const { specificFile, specificCategory } = req.body;
+    const { chunking, error } = readChunking(req.body);
+    if (error) return res.status(400).json({ error });
 
-    const docs = await loadAllDocumentsWithCategory(
+    const allDocs = await loadAllDocumentsWithCategory(
       process.env.RAG_DATA_DIR
     );
 
+    let docs = allDocs;
     if (specificCategory) docs = docs.filter(d => d.category === specificCategory);
     if (specificFile) docs = docs.filter(d => d.filename === specificFile);
     if (!docs.length) return res.status(404).json({ message: "No matching documents found" });
 
-    const chunks = chunkAllDocuments(docs, CHUNK_LENGTH, CHUNK_OVERLAP);
-    const embedded = await embedAllChunks(chunks);
+    const results = [];
+    let chunks = 0;
+    for (const doc of docs) {
+      const result = await indexDocument({
+        filePath: doc.path,
+        filename: doc.filename,
+        category: doc.category,
+        chunking,
+        force: true,
+        document: doc.document
+      });
+      if (result.status === "indexed") chunks += result.document.chunkCount;
+      // a duplicate keeps no chunks of its own, including ones from before
+      if (result.status === "duplicate") await removeOrphanChunks(doc.filename, doc.category);
+      results.push({ filename: doc.filename, category: doc.category, status: result.status, id: result.document?.id });
+    }
 
-    await saveToChroma(embedded);
+    const removed = [];
+    if (!specificCategory && !specificFile) {
+      const onDisk = new Set(allDocs.map(d => documentIdFor(d.category, d.filename)));
+      for (const doc of registry.list()) {
+        if (!onDisk.has(doc.id)) removed.push(await removeDocument(doc, { keepFile: true }));
+      }
+    }
 
     res.json({
        message: "Rechunk completed",
        documents: docs.length,
-       chunks: chunks.length,
-       chunkLength: CHUNK_LENGTH,
-       chunkOverlap: CHUNK_OVERLAP
+       chunks,
+       chunkStrategy: chunking.strategy,
+       chunkLength: chunking.length,
+       chunkOverlap: chunking.overlap,
+       results,
+       removed
      })
   } catch (err) {
     console.error("Rechunk failed:", err);
@@ -535,6 +1097,76 @@ app.post("/rechunk", async (req, res) => {
   }
 });
 
+
+// ---------------------------------------------
+// /documents — list, inspect and remove indexed documents
+// ---------------------------------------------
+app.get("/documents", (req, res) => {
+  const { category, filename } = req.query;
+  const documents = registry.list({ category, filename }).map(describeDocument);
+  res.json({ count: documents.length, documents });
+});
+
+app.get("/documents/:id", async (req, res) => {
+  try {
+    const doc = registry.get(req.params.id);
+    if (!doc) return res.status(404).json({ error: "Document not found" });
+
+    const stored = doc.chunkIds.length
+      ? await collection.get({ ids: doc.chunkIds, include: ["documents", "metadatas"] })
+      : { ids: [], documents: [], metadatas: [] };
+
+    const chunks = stored.ids
+      .map((id, i) => ({
+        id,
+        chunkIndex: stored.metadatas[i]?.chunkIndex,
+        content: stored.documents[i]
+      }))
+      .sort((a, b) => a.chunkIndex - b.chunkIndex);
+
+    res.json({ ...describeDocument(doc), chunks, missingChunks: doc.chunkIds.length - chunks.length });
+  } catch (err) {
+    console.error("Document lookup failed:", err);
+    return res.status(500).json({ error: "Document lookup failed", details: err.message });
+  }
+});
+
+// ?keepFile=true removes the vectors but leaves the file in RAG_DATA_DIR
+// (a later /rechunk will index it again).
+app.delete("/documents/:id", async (req, res) => {
+  try {
+    const doc = registry.get(req.params.id);
+    if (!doc) return res.status(404).json({ error: "Document not found" });
+
+    const removed = await removeDocument(doc, { keepFile: req.query.keepFile === "true" });
+    res.json({ message: "Document removed", ...removed });
+  } catch (err) {
+    console.error("Document delete failed:", err);
+    return res.status(500).json({ error: "Document delete failed", details: err.message });
+  }
+});
+
+// Removes every document of ?category=..., or everything with ?all=true.
+// Only the vectors go unless ?deleteFiles=true also removes the files from
+// RAG_DATA_DIR.
+app.delete("/documents", async (req, res) => {
+  try {
+    const { category, all, deleteFiles } = req.query;
+    if (!category && all !== "true") {
+      return res.status(400).json({ error: "category or all=true is required" });
+    }
+
+    const removed = [];
+    for (const doc of registry.list({ category })) {
+      removed.push(await removeDocument(doc, { keepFile: deleteFiles !== "true" }));
+    }
+    res.json({ message: "Documents removed", count: removed.length, removed });
+  } catch (err) {
+    console.error("Document delete failed:", err);
+    return res.status(500).json({ error: "Document delete failed", details: err.message });
+  }
+});
+
 // health endpoint
 // health endpoint
 app.get("/health", async (req, res) => {
@@ -556,7 +1188,8 @@ app.get("/health", async (req, res) => {
       },
       database: {
         connected: true,
-        documentsCount: collectionCount
+        documentsCount: collectionCount,
+        registeredDocuments: registry.list().length
       },
       responseTime: `${Date.now() - startTime}ms`
     };
@@ -0,0 +1,89 @@
+import { AutoModelForSequenceClassification, AutoTokenizer } from "@huggingface/transformers";
+
+// Helpers for hybrid retrieval: metadata filters usable by both Chroma and
+// the lexical index, reciprocal rank fusion of the two result lists and an
+// optional cross-encoder reranker.
+
+const RRF_K = 60;
+
+// { category: "personal", filename: ["a.pdf", "b.pdf"] } -> a Chroma `where`
+// clause, or undefined when there is nothing to filter on.
+export function chromaWhere(filters = {}) {
+  const clauses = Object.entries(filters)
+    .filter(([, value]) => value !== undefined && value !== null && value !== "")
+    .map(([key, value]) => ({ [key]: Array.isArray(value) ? { $in: value } : { $eq: value } }));
+
+  if (!clauses.length) return undefined;
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+// The same filters as a predicate over chunk metadata.
+export function metadataFilter(filters = {}) {
+  const checks = Object.entries(filters)
+    .filter(([, value]) => value !== undefined && value !== null && value !== "")
+    .map(([key, value]) => (metadata) =>
+      Array.isArray(value) ? value.includes(metadata[key]) : metadata[key] === value
+    );
+
+  return checks.length ? (metadata) => checks.every(check => check(metadata)) : undefined;
+}
+
+// Chroma's default space is squared L2. For the normalized embeddings stored
+// here that is 2 - 2·cos, so this gives back the cosine similarity.
+export const similarityFromDistance = (distance) => 1 - distance / 2;
+
+export const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+// Merges ranked lists of { id } into one list of { id, score, ranks } where
+// score = Σ 1 / (k + rank) over the lists the id appears in, and ranks holds
+// the 1-based rank per list name (null when absent).
+export function reciprocalRankFusion(lists, k = RRF_K) {
+  const fused = new Map();
+
+  for (const [name, items] of Object.entries(lists)) {
+    items.forEach((item, index) => {
+      if (!fused.has(item.id)) {
+        fused.set(item.id, {
+          id: item.id,
+          score: 0,
+          ranks: Object.fromEntries(Object.keys(lists).map(list => [list, null]))
+        });
+      }
+      const entry = fused.get(item.id);
+      entry.score += 1 / (k + index + 1);
+      entry.ranks[name] = index + 1;
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+// A cross-encoder that scores (question, passage) pairs, loaded on first use.
+// Returns a function (query, texts) => Promise<number[]> of scores in 0..1.
+export function createReranker(modelName) {
+  let loading;
+
+  const load = () => {
+    loading ??= Promise.all([
+      AutoTokenizer.from_pretrained(modelName),
+      AutoModelForSequenceClassification.from_pretrained(modelName)
+    ]).catch(err => {
+      loading = undefined;
+      throw err;
+    });
+    return loading;
+  };
+
+  return async (query, texts) => {
+    if (!texts.length) return [];
+    const [tokenizer, model] = await load();
+
+    const inputs = tokenizer(new Array(texts.length).fill(query), {
+      text_pair: texts,
+      padding: true,
+      truncation: true
+    });
+    const { logits } = await model(inputs);
+    return logits.sigmoid().tolist().map(([score]) => score);
+  };
+}
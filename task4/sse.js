@@ -0,0 +1,20 @@
+
+// Prepares an Express response for Server-Sent Events and returns a helper
+// that writes one named event with a JSON payload.
+//
+// Copied from task1/utils/sse.js, since each task is its own package with no
+// shared code; a fix to one copy belongs in the other too.
+export function openEventStream(res) {
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  return (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}